@@ -0,0 +1,48 @@
+/**
+ * JOBS - Background jobs run by the scheduler
+ *
+ * Each job runs every `every` milliseconds or daily at `dailyAt` (UTC,
+ * "HH:MM"). Schedules can be tuned with the environment variables below.
+ */
+
+const {
+	notifyOverdueTasks,
+	sendDueSoonReminders,
+	escalateOverdueTasks,
+} = require("../services/notification.service");
+const { sendDailyDigests } = require("../services/digest.service");
+
+const MINUTE = 60 * 1000;
+
+const minutes = (value, fallback) => (parseInt(value, 10) || fallback) * MINUTE;
+
+const JOBS = [
+	{
+		name: "due-soon-reminders",
+		description: "Remind assignees of tasks due within REMINDER_OFFSETS_HOURS",
+		every: minutes(process.env.REMINDER_CHECK_MINUTES, 15),
+		handler: async () => ({ sent: await sendDueSoonReminders() }),
+	},
+	{
+		name: "overdue-notifications",
+		description: "Tell owners that their task became overdue",
+		every: minutes(process.env.NOTIFICATION_OVERDUE_CHECK_MINUTES, 15),
+		handler: async () => ({ tasks: await notifyOverdueTasks() }),
+	},
+	{
+		name: "overdue-escalation",
+		description: "Alert the creator's manager about overdue urgent tasks",
+		every: minutes(process.env.ESCALATION_CHECK_MINUTES, 60),
+		handler: escalateOverdueTasks,
+	},
+	{
+		name: "daily-digest",
+		description: "Email each user a summary of overdue and due tasks",
+		dailyAt: process.env.DIGEST_TIME || "07:00",
+		handler: sendDailyDigests,
+	},
+];
+
+module.exports = {
+	JOBS,
+};
@@ -0,0 +1,59 @@
+/**
+ * PERMISSIONS - Named permissions and the built-in role defaults
+ *
+ * Roles map to lists of permissions. "*" grants every permission.
+ * Built-in roles are seeded on startup; admins can edit their permissions
+ * (except admin) and create custom roles.
+ */
+
+const PERMISSIONS = {
+	"task:create": "Create tasks",
+	"task:delete": "Delete tasks they created or manage",
+	"task:team": "See and manage tasks of direct reports",
+	"task:read:all": "See every task",
+	"task:write:all":
+		"Edit, reassign and delete any task, and change its creator",
+	"product:read": "View products",
+	"product:write": "Create and edit products and their images",
+	"product:delete": "Delete products",
+	"user:read": "View all users",
+	"user:manage": "Edit, deactivate, unlock and delete users and assign roles",
+	"role:manage": "Create and edit roles",
+	"settings:manage": "Change system settings",
+	"audit:read": "View the audit log",
+	"webhook:manage": "Manage outgoing webhooks and their deliveries",
+	"job:manage": "View and run scheduled background jobs",
+	"project:create": "Create projects",
+	"project:manage": "See and manage every project",
+};
+
+const ALL_PERMISSIONS = "*";
+
+const BUILT_IN_ROLES = {
+	admin: {
+		description: "Full access",
+		permissions: [ALL_PERMISSIONS],
+	},
+	manager: {
+		description: "Manages a team and the product catalog",
+		permissions: [
+			"task:create",
+			"task:delete",
+			"task:team",
+			"project:create",
+			"product:read",
+			"product:write",
+			"user:read",
+		],
+	},
+	user: {
+		description: "Works on their own tasks",
+		permissions: ["task:create", "task:delete", "product:read"],
+	},
+};
+
+module.exports = {
+	PERMISSIONS,
+	ALL_PERMISSIONS,
+	BUILT_IN_ROLES,
+};
@@ -1,5 +1,33 @@
 const bcrypt = require("bcryptjs");
 const User = require("../models/user.model");
+const Role = require("../models/role.model");
+const Task = require("../models/task.model");
+const { BUILT_IN_ROLES } = require("./permissions");
+
+/**
+ * Create the built-in roles if missing. Existing roles keep any
+ * permission changes made by admins, except admin which always has "*".
+ */
+async function seedRoles() {
+	await Promise.all(
+		Object.entries(BUILT_IN_ROLES).map(([name, role]) =>
+			Role.updateOne(
+				{ name },
+				{
+					$setOnInsert: {
+						description: role.description,
+						...(name !== "admin" && { permissions: role.permissions }),
+					},
+					$set: {
+						isSystem: true,
+						...(name === "admin" && { permissions: role.permissions }),
+					},
+				},
+				{ upsert: true }
+			)
+		)
+	);
+}
 
 async function seedDemoUser() {
 	const email = "demo@example.com";
@@ -16,9 +44,37 @@ async function seedDemoUser() {
 		password: "password123",
 		role: "admin",
 		isActive: true,
+		isEmailVerified: true,
+		emailVerifiedAt: new Date(),
 	});
 
 	return { seeded: true, user };
 }
 
-module.exports = { seedDemoUser };
+/**
+ * Mark accounts created before email verification existed as verified.
+ * They have no isEmailVerified field; Mongoose would default it to false
+ * on load and lock them out of sign-in.
+ */
+async function backfillEmailVerification() {
+	const { modifiedCount } = await User.updateMany(
+		{ isEmailVerified: { $exists: false } },
+		{ $set: { isEmailVerified: true, emailVerifiedAt: null } }
+	);
+	return modifiedCount;
+}
+
+/**
+ * Give tasks saved before sort ranks existed their status and priority
+ * ranks
+ */
+async function backfillTaskSortRanks() {
+	return Task.backfillSortRanks();
+}
+
+module.exports = {
+	seedRoles,
+	seedDemoUser,
+	backfillEmailVerification,
+	backfillTaskSortRanks,
+};
@@ -3,12 +3,50 @@
  *
  * Features:
  * - JWT token verification
- * - Role-based access control
+ * - Permission-based access control
  * - User context injection
  */
 
-const jwt = require("jsonwebtoken");
-const User = require("../models/user.model");
+const { AppError } = require("./error.middleware");
+const {
+	verifyAccessToken,
+	verifyStreamToken,
+} = require("../services/token.service");
+const { isTwoFactorRequired } = require("../services/two-factor.service");
+const { getUserPermissions } = require("../services/permission.service");
+
+/**
+ * Send the 401 (or 500) response for a failed token verification
+ */
+const sendAuthError = (res, error) => {
+	if (error instanceof AppError) {
+		return res.status(error.statusCode).json({
+			success: false,
+			message: error.message,
+			...(error.code && { code: error.code }),
+		});
+	}
+
+	if (error.name === "JsonWebTokenError") {
+		return res.status(401).json({
+			success: false,
+			message: "Invalid token",
+		});
+	}
+
+	if (error.name === "TokenExpiredError") {
+		return res.status(401).json({
+			success: false,
+			message: "Token has expired",
+		});
+	}
+
+	console.error("Auth middleware error:", error);
+	return res.status(500).json({
+		success: false,
+		message: "Authentication error",
+	});
+};
 
 /**
  * Verify JWT token and attach user to request
@@ -25,84 +63,75 @@ const authenticateToken = async (req, res, next) => {
 			});
 		}
 
-		// Verify token
-		const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-		// Get user from database
-		const user = await User.findById(decoded.userId).select("-password");
-
-		if (!user) {
-			return res.status(401).json({
-				success: false,
-				message: "User not found",
-			});
-		}
-
-		if (!user.isActive) {
-			return res.status(401).json({
-				success: false,
-				message: "User account is deactivated",
-			});
-		}
-
-		// Attach user to request
-		req.user = user;
+		// Verify token, user state and session
+		req.user = await verifyAccessToken(token);
 		next();
 	} catch (error) {
-		if (error.name === "JsonWebTokenError") {
-			return res.status(401).json({
-				success: false,
-				message: "Invalid token",
-			});
-		}
+		sendAuthError(res, error);
+	}
+};
 
-		if (error.name === "TokenExpiredError") {
-			return res.status(401).json({
-				success: false,
-				message: "Token has expired",
-			});
-		}
+/**
+ * Like authenticateToken, but also accepts an event stream token in the
+ * `token` query parameter (EventSource cannot send headers)
+ */
+const authenticateStream = async (req, res, next) => {
+	if (!req.query.token) return authenticateToken(req, res, next);
 
-		console.error("Auth middleware error:", error);
-		return res.status(500).json({
-			success: false,
-			message: "Authentication error",
-		});
+	try {
+		req.user = await verifyStreamToken(String(req.query.token));
+		next();
+	} catch (error) {
+		sendAuthError(res, error);
 	}
 };
 
 /**
- * Check if user has required role
+ * Block users whose role requires two-factor authentication until they
+ * enroll. Routes needed to enroll only use authenticateToken.
  */
-const requireRole = (roles) => {
-	return (req, res, next) => {
-		if (!req.user) {
-			return res.status(401).json({
-				success: false,
-				message: "Authentication required",
-			});
-		}
-
-		if (!roles.includes(req.user.role)) {
+const enforceTwoFactor = async (req, res, next) => {
+	try {
+		if (!req.user.twoFactor.enabled && (await isTwoFactorRequired(req.user))) {
 			return res.status(403).json({
 				success: false,
-				message: "Insufficient permissions",
+				message: "Two-factor authentication must be enabled for your role",
+				code: "TWO_FACTOR_REQUIRED",
 			});
 		}
-
 		next();
-	};
+	} catch (error) {
+		next(error);
+	}
 };
 
 /**
- * Check if user is admin
+ * Check if user holds every listed permission
  */
-const requireAdmin = requireRole(["admin"]);
+const requirePermission = (...permissions) => {
+	return async (req, res, next) => {
+		try {
+			if (!req.user) {
+				return res.status(401).json({
+					success: false,
+					message: "Authentication required",
+				});
+			}
 
-/**
- * Check if user is admin or manager
- */
-const requireAdminOrManager = requireRole(["admin", "manager"]);
+			const granted = await getUserPermissions(req.user);
+			if (!permissions.every((permission) => granted.includes(permission))) {
+				return res.status(403).json({
+					success: false,
+					message: "Insufficient permissions",
+				});
+			}
+
+			next();
+		} catch (error) {
+			next(error);
+		}
+	};
+};
 
 /**
  * Optional authentication - doesn't fail if no token
@@ -113,12 +142,7 @@ const optionalAuth = async (req, res, next) => {
 		const token = authHeader && authHeader.split(" ")[1];
 
 		if (token) {
-			const decoded = jwt.verify(token, process.env.JWT_SECRET);
-			const user = await User.findById(decoded.userId).select("-password");
-
-			if (user && user.isActive) {
-				req.user = user;
-			}
+			req.user = await verifyAccessToken(token);
 		}
 
 		next();
@@ -130,8 +154,8 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
 	authenticateToken,
-	requireRole,
-	requireAdmin,
-	requireAdminOrManager,
+	authenticateStream,
+	enforceTwoFactor,
+	requirePermission,
 	optionalAuth,
 };
@@ -67,6 +67,11 @@ const errorHandler = (err, req, res, next) => {
 		error = { message, statusCode: 400 };
 	}
 
+	if (err.code === "LIMIT_FILE_COUNT") {
+		const message = "Too many files";
+		error = { message, statusCode: 400 };
+	}
+
 	// Default error response
 	const statusCode = error.statusCode || err.statusCode || 500;
 	const message = error.message || "Server Error";
@@ -74,6 +79,7 @@ const errorHandler = (err, req, res, next) => {
 	res.status(statusCode).json({
 		success: false,
 		message,
+		...(err instanceof AppError && err.code && { code: err.code }),
 		...(process.env.NODE_ENV === "development" && { stack: err.stack }),
 	});
 };
@@ -89,9 +95,10 @@ const asyncHandler = (fn) => (req, res, next) => {
  * Custom error class
  */
 class AppError extends Error {
-	constructor(message, statusCode) {
+	constructor(message, statusCode, code) {
 		super(message);
 		this.statusCode = statusCode;
+		this.code = code;
 		this.status = `${statusCode}`.startsWith("4") ? "fail" : "error";
 		this.isOperational = true;
 
@@ -0,0 +1,22 @@
+/**
+ * REQUEST ID MIDDLEWARE - Correlate logs and audit entries with requests
+ *
+ * Uses an incoming X-Request-Id header when it looks sane, otherwise
+ * generates one, and echoes it on the response.
+ */
+
+const crypto = require("crypto");
+
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+const requestId = (req, res, next) => {
+	const incoming = req.get("x-request-id");
+	req.id =
+		incoming && VALID_REQUEST_ID.test(incoming)
+			? incoming
+			: crypto.randomUUID();
+	res.set("X-Request-Id", req.id);
+	next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,161 @@
+/**
+ * UPLOAD MIDDLEWARE - Multipart file handling with multer
+ *
+ * Features:
+ * - Disk storage with random file names
+ * - In-memory CSV uploads for imports
+ * - MIME type and extension allow-lists
+ * - Per-file size limits and per-user storage quota
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const { AppError } = require("./error.middleware");
+const {
+	UPLOAD_ROOT,
+	removeStoredFiles,
+	getUserStorageUsage,
+} = require("../utils/file-storage.util");
+
+const MB = 1024 * 1024;
+
+const USER_QUOTA_BYTES =
+	(parseInt(process.env.UPLOAD_USER_QUOTA_MB, 10) || 100) * MB;
+
+const IMAGE_TYPES = {
+	"image/jpeg": [".jpg", ".jpeg"],
+	"image/png": [".png"],
+	"image/gif": [".gif"],
+	"image/webp": [".webp"],
+};
+
+const ATTACHMENT_TYPES = {
+	...IMAGE_TYPES,
+	"application/pdf": [".pdf"],
+	"text/plain": [".txt", ".log"],
+	"text/csv": [".csv"],
+	"application/zip": [".zip"],
+	"application/msword": [".doc"],
+	"application/vnd.openxmlformats-officedocument.wordprocessingml.document": [
+		".docx",
+	],
+	"application/vnd.ms-excel": [".xls"],
+	"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [
+		".xlsx",
+	],
+};
+
+const CSV_TYPES = {
+	"text/csv": [".csv"],
+	"text/plain": [".csv"],
+	"application/vnd.ms-excel": [".csv"],
+};
+
+/**
+ * multer file filter accepting only the given MIME types and extensions
+ */
+const typeFilter = (allowedTypes) => (req, file, cb) => {
+	const extension = path.extname(file.originalname).toLowerCase();
+	const extensions = allowedTypes[file.mimetype];
+
+	if (!extensions || !extensions.includes(extension)) {
+		return cb(new AppError(`File type not allowed: ${file.originalname}`, 400));
+	}
+
+	cb(null, true);
+};
+
+/**
+ * Build a multer instance storing files under UPLOAD_ROOT/<folder>
+ */
+const createUploader = ({ folder, allowedTypes, maxFileSize, maxFiles }) => {
+	const destination = path.join(UPLOAD_ROOT, folder);
+
+	const storage = multer.diskStorage({
+		destination: (req, file, cb) => {
+			fs.mkdir(destination, { recursive: true }, (error) =>
+				cb(error, destination)
+			);
+		},
+		filename: (req, file, cb) => {
+			const extension = path.extname(file.originalname).toLowerCase();
+			cb(null, `${crypto.randomBytes(16).toString("hex")}${extension}`);
+		},
+	});
+
+	return multer({
+		storage,
+		fileFilter: typeFilter(allowedTypes),
+		limits: { fileSize: maxFileSize, files: maxFiles },
+	});
+};
+
+const attachmentUploader = createUploader({
+	folder: "attachments",
+	allowedTypes: ATTACHMENT_TYPES,
+	maxFileSize: (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB, 10) || 10) * MB,
+	maxFiles: 5,
+});
+
+const imageUploader = createUploader({
+	folder: "products",
+	allowedTypes: IMAGE_TYPES,
+	maxFileSize: (parseInt(process.env.UPLOAD_MAX_IMAGE_SIZE_MB, 10) || 5) * MB,
+	maxFiles: 5,
+});
+
+// CSV imports are parsed in memory and never written to disk
+const csvUploader = multer({
+	storage: multer.memoryStorage(),
+	fileFilter: typeFilter(CSV_TYPES),
+	limits: {
+		fileSize: (parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB, 10) || 5) * MB,
+		files: 1,
+	},
+});
+
+/**
+ * Relative path (as stored in documents) of an uploaded file
+ */
+const storedPath = (file) =>
+	path.relative(UPLOAD_ROOT, file.path).split(path.sep).join("/");
+
+/**
+ * Reject the request (and remove the files just written) when it would
+ * push the user over their storage quota
+ */
+const enforceUploadQuota = async (req, res, next) => {
+	try {
+		const files = req.files || [];
+		if (!files.length) {
+			return next(new AppError("No files uploaded", 400));
+		}
+
+		const incoming = files.reduce((total, file) => total + file.size, 0);
+		const used = await getUserStorageUsage(req.user._id);
+
+		if (used + incoming > USER_QUOTA_BYTES) {
+			await removeStoredFiles(files.map(storedPath));
+			return next(
+				new AppError(
+					`Upload exceeds your storage quota of ${USER_QUOTA_BYTES / MB} MB`,
+					413
+				)
+			);
+		}
+
+		next();
+	} catch (error) {
+		next(error);
+	}
+};
+
+module.exports = {
+	uploadAttachments: [attachmentUploader.array("files"), enforceUploadQuota],
+	uploadProductImages: [imageUploader.array("images"), enforceUploadQuota],
+	uploadCsv: csvUploader.single("file"),
+	storedPath,
+	USER_QUOTA_BYTES,
+};
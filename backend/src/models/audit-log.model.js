@@ -0,0 +1,92 @@
+/**
+ * AUDIT LOG MODEL - Append-only record of mutations and security events
+ *
+ * Features:
+ * - Actor, action and resource of every change
+ * - Field-level before/after diff
+ * - Request context (IP, user agent, request ID)
+ * - Entries cannot be modified or deleted through the model
+ */
+
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+	{
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		actorEmail: {
+			type: String,
+			default: null,
+		},
+		action: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		resource: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		resourceId: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null,
+		},
+		// Field-level diff, dotted paths for nested fields
+		changes: [
+			{
+				_id: false,
+				field: String,
+				from: mongoose.Schema.Types.Mixed,
+				to: mongoose.Schema.Types.Mixed,
+			},
+		],
+		metadata: {
+			type: mongoose.Schema.Types.Mixed,
+			default: {},
+		},
+		ip: String,
+		userAgent: String,
+		requestId: String,
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		minimize: false,
+	}
+);
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+// Entries are append-only
+const rejectMutation = function (next) {
+	next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+auditLogSchema.pre("save", function (next) {
+	if (!this.isNew) return rejectMutation(next);
+	next();
+});
+
+auditLogSchema.pre(
+	[
+		"updateOne",
+		"updateMany",
+		"findOneAndUpdate",
+		"replaceOne",
+		"findOneAndReplace",
+		"deleteOne",
+		"deleteMany",
+		"findOneAndDelete",
+	],
+	{ document: false, query: true },
+	rejectMutation
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
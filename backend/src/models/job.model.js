@@ -0,0 +1,95 @@
+/**
+ * JOB MODEL - Persisted state of scheduled background jobs
+ *
+ * Features:
+ * - One document per job name, shared by every server instance
+ * - Next run time and the outcome of the last run
+ * - Lease (lockedUntil, lockedBy) so a job runs on one instance at a time
+ */
+
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["idle", "running", "succeeded", "failed"];
+
+const jobSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			unique: true,
+			trim: true,
+		},
+		nextRunAt: {
+			type: Date,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: JOB_STATUSES,
+			default: "idle",
+		},
+		lockedUntil: {
+			type: Date,
+			default: null,
+		},
+		// Instance holding the lease
+		lockedBy: {
+			type: String,
+			default: null,
+		},
+		lastStartedAt: Date,
+		lastFinishedAt: Date,
+		lastDurationMs: Number,
+		lastResult: mongoose.Schema.Types.Mixed,
+		lastError: String,
+		lastTriggeredBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		runCount: {
+			type: Number,
+			default: 0,
+		},
+		failureCount: {
+			type: Number,
+			default: 0,
+		},
+	},
+	{
+		timestamps: true,
+		minimize: false,
+	}
+);
+
+// Static method to take the lease of a job. With `due`, only a job whose
+// next run time has passed is claimed. Returns null when another
+// instance holds the lease (or the job is not due).
+jobSchema.statics.acquire = function (
+	name,
+	owner,
+	leaseMs,
+	{ due = false } = {}
+) {
+	const now = new Date();
+	return this.findOneAndUpdate(
+		{
+			name,
+			...(due && { nextRunAt: { $lte: now } }),
+			$or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+		},
+		{
+			$set: {
+				lockedUntil: new Date(now.getTime() + leaseMs),
+				lockedBy: owner,
+				status: "running",
+				lastStartedAt: now,
+			},
+		},
+		{ new: true }
+	);
+};
+
+jobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model("Job", jobSchema);
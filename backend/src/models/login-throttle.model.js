@@ -0,0 +1,64 @@
+/**
+ * LOGIN THROTTLE MODEL - Failed sign-in counters per client IP
+ *
+ * Features:
+ * - Sliding window of failed attempts per IP
+ * - Automatic expiry when the window ends
+ */
+
+const mongoose = require("mongoose");
+
+const loginThrottleSchema = new mongoose.Schema(
+	{
+		ip: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		failedAttempts: {
+			type: Number,
+			default: 0,
+		},
+		lastFailedAt: {
+			type: Date,
+			default: null,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a failed attempt, starting a new window if needed
+loginThrottleSchema.statics.recordFailure = async function (ip, windowMs) {
+	const now = new Date();
+	const active = await this.findOneAndUpdate(
+		{ ip, expiresAt: { $gt: now } },
+		{ $inc: { failedAttempts: 1 }, lastFailedAt: now },
+		{ new: true }
+	);
+	if (active) return active;
+
+	return this.findOneAndUpdate(
+		{ ip },
+		{
+			failedAttempts: 1,
+			lastFailedAt: now,
+			expiresAt: new Date(now.getTime() + windowMs),
+		},
+		{ new: true, upsert: true }
+	);
+};
+
+// Static method to get the current window for an IP
+loginThrottleSchema.statics.findActive = function (ip) {
+	return this.findOne({ ip, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,102 @@
+/**
+ * NOTIFICATION MODEL - In-app notifications for a user
+ *
+ * Features:
+ * - Assignment, mention, reminder, overdue and escalation notifications
+ *   linked to a task
+ * - Read state per notification
+ * - Channels (email, push) the notification was also sent through
+ * - Notifications expire after NOTIFICATION_RETENTION_DAYS
+ */
+
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS =
+	parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+
+const NOTIFICATION_TYPES = [
+	"task_assigned",
+	"mentioned",
+	"task_due_soon",
+	"task_overdue",
+	"task_escalated",
+];
+
+const notificationSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: NOTIFICATION_TYPES,
+			required: true,
+		},
+		title: {
+			type: String,
+			required: true,
+			maxlength: 200,
+		},
+		message: {
+			type: String,
+			maxlength: 1000,
+		},
+		task: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Task",
+			default: null,
+		},
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		readAt: {
+			type: Date,
+			default: null,
+		},
+		channels: [
+			{
+				type: String,
+				enum: ["email", "push"],
+			},
+		],
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+	}
+);
+
+// Virtual for read state
+notificationSchema.virtual("isRead").get(function () {
+	return Boolean(this.readAt);
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index(
+	{ createdAt: 1 },
+	{ expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function (userId) {
+	return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Static method to mark all of a user's notifications read
+notificationSchema.statics.markAllRead = function (userId) {
+	return this.updateMany(
+		{ user: userId, readAt: null },
+		{ $set: { readAt: new Date() } }
+	);
+};
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -10,6 +10,7 @@
  */
 
 const mongoose = require("mongoose");
+const { publish } = require("../services/event.service");
 
 const productSchema = new mongoose.Schema(
 	{
@@ -86,6 +87,15 @@ const productSchema = new mongoose.Schema(
 					required: true,
 				},
 				alt: String,
+				// Set for images uploaded through the API
+				filename: String,
+				path: String,
+				size: Number,
+				mimeType: String,
+				uploadedBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+				},
 				isPrimary: {
 					type: Boolean,
 					default: false,
@@ -231,6 +241,7 @@ productSchema.index({ isFeatured: 1 });
 productSchema.index({ sku: 1 });
 productSchema.index({ "ratings.average": -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ "images.uploadedBy": 1 });
 
 // Pre-save middleware to ensure only one primary image
 productSchema.pre("save", function (next) {
@@ -246,6 +257,73 @@ productSchema.pre("save", function (next) {
 	next();
 });
 
+// Compact product representation carried by domain events
+const eventPayload = (product) =>
+	JSON.parse(
+		JSON.stringify({
+			_id: product._id,
+			name: product.name,
+			sku: product.sku,
+			category: product.category,
+			price: product.price,
+			stock: product.stock,
+			lowStockThreshold: product.lowStockThreshold,
+			stockStatus: product.stockStatus,
+			isActive: product.isActive,
+		})
+	);
+
+const isLowStock = (stock, threshold) => stock <= threshold;
+
+// Remember stock as loaded so saves can detect a low-stock crossing
+productSchema.post("init", function () {
+	this.$locals.previousStock = this.stock;
+});
+
+// Pre-save middleware to remember what the save changes
+productSchema.pre("save", function (next) {
+	this.$locals.wasNew = this.isNew;
+	this.$locals.changedFields = this.modifiedPaths({ includeChildren: false });
+	next();
+});
+
+// Post-save middleware to publish product events
+productSchema.post("save", function () {
+	const actor = this.$locals.actor || null;
+	const payload = eventPayload(this);
+	const previousStock = this.$locals.previousStock;
+	this.$locals.previousStock = this.stock;
+
+	if (this.$locals.wasNew) {
+		publish("product.created", { product: payload }, { actor });
+	} else if (this.$locals.changedFields.length) {
+		publish(
+			"product.updated",
+			{ product: payload, fields: this.$locals.changedFields },
+			{ actor }
+		);
+	}
+
+	const crossed =
+		this.$locals.wasNew || !isLowStock(previousStock, this.lowStockThreshold);
+	if (
+		this.isActive &&
+		crossed &&
+		isLowStock(this.stock, this.lowStockThreshold)
+	) {
+		publish("product.low_stock", { product: payload }, { actor });
+	}
+});
+
+// Publish the removal of a product
+productSchema.post("deleteOne", { document: true, query: false }, function () {
+	publish(
+		"product.deleted",
+		{ product: eventPayload(this) },
+		{ actor: this.$locals.actor }
+	);
+});
+
 // Static method to find active products
 productSchema.statics.findActive = function () {
 	return this.find({ isActive: true });
@@ -283,6 +361,12 @@ productSchema.methods.updateStock = function (quantity) {
 	return this.save();
 };
 
+// Record who is making the next change (used by product events)
+productSchema.methods.setActor = function (userId) {
+	this.$locals.actor = userId;
+	return this;
+};
+
 // Instance method to add image
 productSchema.methods.addImage = function (imageData) {
 	if (imageData.isPrimary) {
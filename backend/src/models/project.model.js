@@ -0,0 +1,277 @@
+/**
+ * PROJECT MODEL - Workspaces grouping tasks and their members
+ *
+ * Features:
+ * - Members with per-project roles (viewer, member, admin, owner)
+ * - Custom task categories and statuses that replace the defaults for
+ *   the project's tasks; every custom status maps to one of the built-in
+ *   lifecycle statuses (pending, in-progress, completed, cancelled)
+ * - Archiving (archived projects are read-only)
+ */
+
+const mongoose = require("mongoose");
+
+// Ordered from least to most privileged
+const PROJECT_ROLES = ["viewer", "member", "admin", "owner"];
+
+// Task categories used outside projects with custom categories
+const DEFAULT_CATEGORIES = [
+	"development",
+	"design",
+	"testing",
+	"documentation",
+	"meeting",
+	"other",
+];
+
+// Built-in task statuses custom statuses map to
+const STATUS_STATES = ["pending", "in-progress", "completed", "cancelled"];
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const keysAreUnique = (items) =>
+	new Set(items.map((item) => item.key)).size === items.length;
+
+const optionFields = {
+	key: {
+		type: String,
+		required: true,
+		trim: true,
+		lowercase: true,
+		match: [
+			KEY_PATTERN,
+			"Keys use lowercase letters, digits, - and _ (up to 40 characters)",
+		],
+	},
+	name: {
+		type: String,
+		required: true,
+		trim: true,
+		maxlength: [50, "Names cannot exceed 50 characters"],
+	},
+	color: {
+		type: String,
+		match: [COLOR_PATTERN, "Colors must be #rrggbb"],
+	},
+};
+
+const projectSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, "Project name is required"],
+			trim: true,
+			maxlength: [100, "Project name cannot exceed 100 characters"],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [1000, "Project description cannot exceed 1000 characters"],
+		},
+		members: [
+			{
+				_id: false,
+				user: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					required: true,
+				},
+				role: {
+					type: String,
+					enum: PROJECT_ROLES,
+					default: "member",
+				},
+				addedAt: {
+					type: Date,
+					default: Date.now,
+				},
+			},
+		],
+		settings: {
+			// Empty lists mean the default task categories / statuses
+			categories: {
+				type: [{ _id: false, ...optionFields }],
+				validate: [
+					{ validator: keysAreUnique, message: "Category keys must be unique" },
+					{
+						validator: (items) => items.length <= 50,
+						message: "A project can have at most 50 categories",
+					},
+				],
+			},
+			statuses: {
+				type: [
+					{
+						_id: false,
+						...optionFields,
+						state: {
+							type: String,
+							enum: STATUS_STATES,
+							required: true,
+						},
+					},
+				],
+				validate: [
+					{ validator: keysAreUnique, message: "Status keys must be unique" },
+					{
+						validator: (items) => items.length <= 30,
+						message: "A project can have at most 30 statuses",
+					},
+					{
+						// New tasks start pending and must be completable
+						validator: (items) =>
+							!items.length ||
+							["pending", "completed"].every((state) =>
+								items.some((item) => item.state === state)
+							),
+						message:
+							"Custom statuses must include a pending and a completed status",
+					},
+				],
+			},
+		},
+		isArchived: {
+			type: Boolean,
+			default: false,
+		},
+		archivedAt: {
+			type: Date,
+			default: null,
+		},
+		archivedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+	}
+);
+
+// Virtual for member count
+projectSchema.virtual("memberCount").get(function () {
+	return this.members ? this.members.length : 0;
+});
+
+// Indexes for better query performance
+projectSchema.index({ "members.user": 1, isArchived: 1 });
+projectSchema.index({ name: 1 });
+
+// Instance method to find a user's membership
+projectSchema.methods.getMember = function (userId) {
+	return this.members.find(
+		(member) =>
+			(member.user._id || member.user).toString() === userId.toString()
+	);
+};
+
+// Instance method returning a user's project role (null for non-members)
+projectSchema.methods.roleOf = function (userId) {
+	const member = this.getMember(userId);
+	return member ? member.role : null;
+};
+
+// Instance method to check that a user holds at least `role`
+projectSchema.methods.hasRole = function (userId, role) {
+	const current = this.roleOf(userId);
+	return (
+		current !== null &&
+		PROJECT_ROLES.indexOf(current) >= PROJECT_ROLES.indexOf(role)
+	);
+};
+
+// Instance method returning the custom category keys (null for defaults)
+projectSchema.methods.categoryKeys = function () {
+	const { categories } = this.settings;
+	return categories.length ? categories.map((category) => category.key) : null;
+};
+
+// Instance method to look up a custom status by key
+projectSchema.methods.statusFor = function (key) {
+	return this.settings.statuses.find((status) => status.key === key);
+};
+
+// Instance method returning the first custom status of a lifecycle state
+projectSchema.methods.defaultStatusFor = function (state) {
+	return this.settings.statuses.find((status) => status.state === state);
+};
+
+// Static method to find the projects a user belongs to
+projectSchema.statics.findForUser = function (userId) {
+	return this.find({ "members.user": userId });
+};
+
+// Static method to load (and cache on the document until its project
+// changes) the project of a task or recurring task
+projectSchema.statics.loadFor = async function (doc) {
+	if (!doc.project) return null;
+
+	const cached = doc.$locals.project;
+	if (!cached || !cached._id.equals(doc.project)) {
+		doc.$locals.project = await this.findById(doc.project).session(
+			doc.$session()
+		);
+	}
+	return doc.$locals.project;
+};
+
+// Static method to check the project, assignee and category of a task or
+// recurring task against its loaded `project` (null outside projects).
+// Problems are marked on the document; returns false when the project
+// does not exist.
+projectSchema.statics.checkTaskPlacement = function (doc, project) {
+	const projectChanged = doc.isNew || doc.isModified("project");
+
+	if (doc.project && !project) {
+		doc.invalidate("project", "Project not found");
+		return false;
+	}
+	if (project && projectChanged && project.isArchived) {
+		doc.invalidate("project", "Tasks cannot be added to an archived project");
+	}
+	if (
+		project &&
+		doc.assignedTo &&
+		(projectChanged || doc.isModified("assignedTo")) &&
+		!project.getMember(doc.assignedTo._id || doc.assignedTo)
+	) {
+		doc.invalidate(
+			"assignedTo",
+			"The assignee must be a member of the task's project"
+		);
+	}
+
+	// A task moved between projects falls back to the first category
+	// unless a new one is given
+	const categories = (project && project.categoryKeys()) || DEFAULT_CATEGORIES;
+	if (!categories.includes(doc.category)) {
+		if (
+			(projectChanged && !doc.isModified("category")) ||
+			doc.$isDefault("category")
+		) {
+			doc.category = categories.includes("other") ? "other" : categories[0];
+		} else {
+			doc.invalidate(
+				"category",
+				`Category must be one of: ${categories.join(", ")}`
+			);
+		}
+	}
+
+	return true;
+};
+
+projectSchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+projectSchema.statics.PROJECT_ROLES = PROJECT_ROLES;
+projectSchema.statics.STATUS_STATES = STATUS_STATES;
+
+module.exports = mongoose.model("Project", projectSchema);
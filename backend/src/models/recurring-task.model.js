@@ -0,0 +1,230 @@
+/**
+ * RECURRING TASK MODEL - Task templates with a recurrence rule
+ *
+ * Features:
+ * - Template fields copied to every occurrence (title, assignee, tags,
+ *   category, priority, estimates, visibility, project)
+ * - Optional project: the assignee must be a member and the category one
+ *   of the project's
+ * - RRULE-style rule: frequency, interval, until or count
+ * - Occurrences are ordinary tasks linked by `series` and `occurrence`;
+ *   the next one is generated when the current one is closed
+ */
+
+const mongoose = require("mongoose");
+const Project = require("./project.model");
+const { FREQUENCIES, occurrenceDate } = require("../utils/recurrence.util");
+
+// Template fields copied onto each generated task
+const TEMPLATE_FIELDS = [
+	"title",
+	"description",
+	"priority",
+	"category",
+	"tags",
+	"estimatedHours",
+	"assignedTo",
+	"createdBy",
+	"isPublic",
+	"project",
+];
+
+const recurringTaskSchema = new mongoose.Schema(
+	{
+		title: {
+			type: String,
+			required: [true, "Task title is required"],
+			trim: true,
+			maxlength: [200, "Task title cannot exceed 200 characters"],
+		},
+		description: {
+			type: String,
+			required: [true, "Task description is required"],
+			trim: true,
+			maxlength: [1000, "Task description cannot exceed 1000 characters"],
+		},
+		priority: {
+			type: String,
+			enum: ["low", "medium", "high", "urgent"],
+			default: "medium",
+		},
+		// One of the default categories, or of the project's custom ones
+		category: {
+			type: String,
+			trim: true,
+			default: "other",
+		},
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Project",
+			default: null,
+		},
+		tags: [
+			{
+				type: String,
+				trim: true,
+				maxlength: [50, "Tag cannot exceed 50 characters"],
+			},
+		],
+		estimatedHours: {
+			type: Number,
+			min: [0, "Estimated hours cannot be negative"],
+			default: 0,
+		},
+		assignedTo: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: [true, "Task must be assigned to a user"],
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: [true, "Task creator is required"],
+		},
+		isPublic: {
+			type: Boolean,
+			default: false,
+		},
+		recurrence: {
+			frequency: {
+				type: String,
+				enum: FREQUENCIES,
+				required: [true, "Recurrence frequency is required"],
+			},
+			interval: {
+				type: Number,
+				min: [1, "Interval must be at least 1"],
+				max: [365, "Interval cannot exceed 365"],
+				default: 1,
+			},
+			until: {
+				type: Date,
+				default: null,
+			},
+			count: {
+				type: Number,
+				min: [1, "Count must be at least 1"],
+				max: [1000, "Count cannot exceed 1000"],
+				default: null,
+			},
+		},
+		startDate: {
+			type: Date,
+			required: [true, "Start date is required"],
+		},
+		occurrencesGenerated: {
+			type: Number,
+			default: 0,
+		},
+		active: {
+			type: Boolean,
+			default: true,
+		},
+		endedAt: {
+			type: Date,
+			default: null,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+recurringTaskSchema.index({ assignedTo: 1, active: 1 });
+recurringTaskSchema.index({ createdBy: 1 });
+recurringTaskSchema.index({ project: 1 });
+
+/**
+ * Load the series' project (cached until the project changes)
+ */
+recurringTaskSchema.methods.loadProject = function () {
+	return Project.loadFor(this);
+};
+
+// Pre-validate middleware to check the project, assignee and category
+recurringTaskSchema.pre("validate", async function () {
+	if (
+		!this.isNew &&
+		!this.isModified("project") &&
+		!this.isModified("category") &&
+		!this.isModified("assignedTo")
+	) {
+		return;
+	}
+
+	Project.checkTaskPlacement(this, await this.loadProject());
+});
+
+// Instance method to stop generating occurrences
+recurringTaskSchema.methods.end = function () {
+	this.active = false;
+	this.endedAt = this.endedAt || new Date();
+	return this.save();
+};
+
+// Instance method to generate occurrence `n` (1-based). Returns the new
+// task, or null when the rule is exhausted or the occurrence exists.
+// With a `session`, every write (including the series') joins it.
+recurringTaskSchema.methods.createOccurrence = async function (
+	n,
+	actor = null,
+	session = null
+) {
+	if (session) this.$session(session);
+
+	const dueDate = occurrenceDate(this.recurrence, this.startDate, n);
+	if (!dueDate) {
+		await this.end();
+		return null;
+	}
+
+	const Task = mongoose.model("Task");
+	const template = {};
+	TEMPLATE_FIELDS.forEach((field) => {
+		template[field] = this.get(field);
+	});
+
+	const task = new Task({
+		...template,
+		dueDate,
+		series: this._id,
+		occurrence: n,
+	});
+
+	try {
+		await task.setActor(actor).save({ session });
+	} catch (error) {
+		// Another request already generated this occurrence. Inside a
+		// transaction the error has already aborted it, so it propagates.
+		if (error.code === 11000 && !(session && session.inTransaction())) {
+			return null;
+		}
+		throw error;
+	}
+
+	this.occurrencesGenerated = Math.max(this.occurrencesGenerated, n);
+	await this.save();
+	return task;
+};
+
+// Static method to generate the occurrence following a closed task
+recurringTaskSchema.statics.advanceAfter = async function (task) {
+	const session = task.$session();
+	const series = await this.findById(task.series).session(session);
+	// Only closing the latest generated occurrence moves the series on
+	if (
+		!series ||
+		!series.active ||
+		task.occurrence !== series.occurrencesGenerated
+	) {
+		return null;
+	}
+
+	return series.createOccurrence(
+		task.occurrence + 1,
+		task.$locals.actor,
+		session
+	);
+};
+
+module.exports = mongoose.model("RecurringTask", recurringTaskSchema);
@@ -0,0 +1,90 @@
+/**
+ * REFRESH TOKEN MODEL - MongoDB schema for refresh token sessions
+ *
+ * Features:
+ * - Hashed token storage (raw tokens are never persisted)
+ * - Token families for rotation and reuse detection
+ * - Revocation tracking
+ * - Automatic cleanup of expired tokens
+ */
+
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		tokenHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		// All tokens produced by rotating one login share a family
+		family: {
+			type: String,
+			required: true,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		revokedAt: {
+			type: Date,
+			default: null,
+		},
+		revokedReason: {
+			type: String,
+			default: null,
+		},
+		replacedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "RefreshToken",
+			default: null,
+		},
+		createdByIp: String,
+		userAgent: String,
+	},
+	{
+		timestamps: true,
+	}
+);
+
+// Virtual for active state
+refreshTokenSchema.virtual("isActive").get(function () {
+	return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+	return this.updateMany(
+		{ family, revokedAt: null },
+		{ revokedAt: new Date(), revokedReason: reason }
+	);
+};
+
+// Static method to revoke every token of a user
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+	return this.updateMany(
+		{ user: userId, revokedAt: null },
+		{ revokedAt: new Date(), revokedReason: reason }
+	);
+};
+
+// Static method to check whether a session (family) is still usable
+refreshTokenSchema.statics.isFamilyActive = function (family) {
+	return this.exists({
+		family,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	});
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,54 @@
+/**
+ * ROLE MODEL - MongoDB schema for roles and their permissions
+ *
+ * Features:
+ * - Built-in (system) and admin-defined custom roles
+ * - Permission lists validated against the known permissions
+ */
+
+const mongoose = require("mongoose");
+const { PERMISSIONS, ALL_PERMISSIONS } = require("../config/permissions");
+
+const roleSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, "Role name is required"],
+			unique: true,
+			lowercase: true,
+			trim: true,
+			match: [
+				/^[a-z][a-z0-9-]{1,29}$/,
+				"Role name must be 2-30 lowercase letters, digits or dashes",
+			],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [200, "Description cannot exceed 200 characters"],
+		},
+		permissions: [
+			{
+				type: String,
+				enum: {
+					values: [...Object.keys(PERMISSIONS), ALL_PERMISSIONS],
+					message: "Unknown permission: {VALUE}",
+				},
+			},
+		],
+		isSystem: {
+			type: Boolean,
+			default: false,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+// Static method to find a role by name
+roleSchema.statics.findByName = function (name) {
+	return this.findOne({ name: String(name).toLowerCase() });
+};
+
+module.exports = mongoose.model("Role", roleSchema);
@@ -0,0 +1,72 @@
+/**
+ * SYSTEM SETTING MODEL - Application-wide settings managed by admins
+ *
+ * Features:
+ * - Single settings document
+ * - Security policy (e.g. roles that must use two-factor authentication)
+ * - Short in-process cache for hot paths
+ */
+
+const mongoose = require("mongoose");
+
+const SETTINGS_KEY = "global";
+const CACHE_TTL_MS = 30 * 1000;
+
+const systemSettingSchema = new mongoose.Schema(
+	{
+		key: {
+			type: String,
+			default: SETTINGS_KEY,
+			unique: true,
+		},
+		security: {
+			requireTwoFactorRoles: [
+				{
+					type: String,
+					trim: true,
+				},
+			],
+		},
+		updatedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+let cached = null;
+let cachedAt = 0;
+
+// Static method to get (creating if needed) the settings document
+systemSettingSchema.statics.getSettings = async function ({
+	fresh = false,
+} = {}) {
+	if (!fresh && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+		return cached;
+	}
+
+	cached = await this.findOneAndUpdate(
+		{ key: SETTINGS_KEY },
+		{ $setOnInsert: { key: SETTINGS_KEY } },
+		{ new: true, upsert: true }
+	);
+	cachedAt = Date.now();
+	return cached;
+};
+
+// Static method to update the settings document
+systemSettingSchema.statics.updateSettings = async function (updates, userId) {
+	cached = await this.findOneAndUpdate(
+		{ key: SETTINGS_KEY },
+		{ $set: { ...updates, updatedBy: userId } },
+		{ new: true, upsert: true, runValidators: true }
+	);
+	cachedAt = Date.now();
+	return cached;
+};
+
+module.exports = mongoose.model("SystemSetting", systemSettingSchema);
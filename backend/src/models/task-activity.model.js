@@ -0,0 +1,68 @@
+/**
+ * TASK ACTIVITY MODEL - Field-level change history of tasks
+ *
+ * Features:
+ * - One entry per changed field, comment event or creation
+ * - Actor and timestamp of every change
+ * - Written automatically by task save middleware
+ */
+
+const mongoose = require("mongoose");
+
+const taskActivitySchema = new mongoose.Schema(
+	{
+		task: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Task",
+			required: true,
+		},
+		actor: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+		type: {
+			type: String,
+			enum: [
+				"created",
+				"field_changed",
+				"comment_added",
+				"comment_edited",
+				"comment_deleted",
+			],
+			required: true,
+		},
+		field: {
+			type: String,
+			default: null,
+		},
+		from: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+		to: {
+			type: mongoose.Schema.Types.Mixed,
+			default: null,
+		},
+		comment: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	}
+);
+
+taskActivitySchema.index({ task: 1, createdAt: 1 });
+taskActivitySchema.index({ task: 1, field: 1, createdAt: 1 });
+
+// Static method to get the status changes of a task, oldest first
+taskActivitySchema.statics.findStatusChanges = function (taskId) {
+	return this.find({
+		task: taskId,
+		$or: [{ type: "created" }, { field: "status" }],
+	}).sort({ createdAt: 1, _id: 1 });
+};
+
+module.exports = mongoose.model("TaskActivity", taskActivitySchema);
@@ -6,9 +6,145 @@
  * - Priority and status tracking
  * - Due dates and time tracking
  * - User assignments and comments
+ * - Optional project, whose custom categories and statuses replace the
+ *   defaults (a custom status sets the matching lifecycle status)
  */
 
 const mongoose = require("mongoose");
+const TaskActivity = require("./task-activity.model");
+const RecurringTask = require("./recurring-task.model");
+const Project = require("./project.model");
+const { publish } = require("../services/event.service");
+
+// Fields whose changes are recorded in the task activity stream
+const TRACKED_FIELDS = [
+	"title",
+	"status",
+	"customStatus",
+	"project",
+	"priority",
+	"assignedTo",
+	"dueDate",
+	"category",
+	"progress",
+	"estimatedHours",
+	"isPublic",
+	"tags",
+	"parent",
+	"blockedBy",
+];
+
+// Fields clients may set on create and update. Attachments, comments and
+// checklist items change through their own endpoints; hours, series links
+// and notification bookkeeping are maintained by the server.
+const WRITABLE_FIELDS = [
+	"title",
+	"description",
+	"status",
+	"customStatus",
+	"priority",
+	"assignedTo",
+	"createdBy",
+	"dueDate",
+	"estimatedHours",
+	"tags",
+	"category",
+	"project",
+	"isPublic",
+	"progress",
+	"parent",
+	"blockedBy",
+];
+
+// Lifecycle statuses in workflow order and priorities by severity; a
+// task's index in each is stored as its sort rank
+const STATUSES = ["pending", "in-progress", "completed", "cancelled"];
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const trackedValues = (task) => {
+	const values = {};
+	TRACKED_FIELDS.forEach((field) => {
+		values[field] = JSON.parse(JSON.stringify(task.get(field) ?? null));
+	});
+	return values;
+};
+
+// Compact task representation carried by domain events
+const eventPayload = (task) =>
+	JSON.parse(
+		JSON.stringify({
+			_id: task._id,
+			title: task.title,
+			status: task.status,
+			customStatus: task.customStatus,
+			project: task.project,
+			priority: task.priority,
+			category: task.category,
+			tags: task.tags,
+			assignedTo: task.assignedTo,
+			createdBy: task.createdBy,
+			dueDate: task.dueDate,
+			isPublic: task.isPublic,
+			parent: task.parent,
+			progress: task.progress,
+		})
+	);
+
+/**
+ * Publish domain events for the activity a save produced
+ */
+const publishTaskEvents = (task, activity) => {
+	const options = {
+		actor: task.$locals.actor || null,
+		session: task.$session(),
+	};
+	const payload = eventPayload(task);
+	const changes = activity.filter((entry) => entry.type === "field_changed");
+
+	activity.forEach((entry) => {
+		if (entry.type === "created") {
+			publish("task.created", { task: payload }, options);
+			publish(
+				"task.assigned",
+				{ task: payload, from: null, to: payload.assignedTo },
+				options
+			);
+		} else if (entry.type === "comment_added") {
+			const comment = task.comments.id(entry.comment);
+			publish(
+				"task.commented",
+				{
+					task: payload,
+					comment: comment && JSON.parse(JSON.stringify(comment)),
+				},
+				options
+			);
+		} else if (entry.field === "status") {
+			publish(
+				"task.status_changed",
+				{ task: payload, from: entry.from, to: entry.to },
+				options
+			);
+		} else if (entry.field === "assignedTo") {
+			publish(
+				"task.assigned",
+				{ task: payload, from: entry.from, to: entry.to },
+				options
+			);
+		}
+	});
+
+	if (changes.length) {
+		publish(
+			"task.updated",
+			{
+				task: payload,
+				changes: changes.map(({ field, from, to }) => ({ field, from, to })),
+			},
+			options
+		);
+	}
+};
 
 const taskSchema = new mongoose.Schema(
 	{
@@ -26,14 +162,21 @@ const taskSchema = new mongoose.Schema(
 		},
 		status: {
 			type: String,
-			enum: ["pending", "in-progress", "completed", "cancelled"],
+			enum: STATUSES,
 			default: "pending",
 		},
 		priority: {
 			type: String,
-			enum: ["low", "medium", "high", "urgent"],
+			enum: PRIORITIES,
 			default: "medium",
 		},
+		// Sort keys for status and priority (see STATUSES and PRIORITIES)
+		statusRank: {
+			type: Number,
+		},
+		priorityRank: {
+			type: Number,
+		},
 		assignedTo: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "User",
@@ -57,6 +200,7 @@ const taskSchema = new mongoose.Schema(
 			min: [0, "Estimated hours cannot be negative"],
 			default: 0,
 		},
+		// Sum of finished time entries, maintained by the TimeEntry model
 		actualHours: {
 			type: Number,
 			min: [0, "Actual hours cannot be negative"],
@@ -75,6 +219,11 @@ const taskSchema = new mongoose.Schema(
 				originalName: String,
 				path: String,
 				size: Number,
+				mimeType: String,
+				uploadedBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+				},
 				uploadedAt: {
 					type: Date,
 					default: Date.now,
@@ -93,24 +242,38 @@ const taskSchema = new mongoose.Schema(
 					required: true,
 					maxlength: [500, "Comment cannot exceed 500 characters"],
 				},
+				mentions: [
+					{
+						type: mongoose.Schema.Types.ObjectId,
+						ref: "User",
+					},
+				],
 				createdAt: {
 					type: Date,
 					default: Date.now,
 				},
+				editedAt: {
+					type: Date,
+					default: null,
+				},
 			},
 		],
+		// One of the default categories, or of the project's custom ones
 		category: {
 			type: String,
-			enum: [
-				"development",
-				"design",
-				"testing",
-				"documentation",
-				"meeting",
-				"other",
-			],
+			trim: true,
 			default: "other",
 		},
+		project: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Project",
+			default: null,
+		},
+		// Key of a project custom status; `status` follows its state
+		customStatus: {
+			type: String,
+			default: null,
+		},
 		isPublic: {
 			type: Boolean,
 			default: false,
@@ -121,6 +284,74 @@ const taskSchema = new mongoose.Schema(
 			max: [100, "Progress cannot exceed 100%"],
 			default: 0,
 		},
+		parent: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Task",
+			default: null,
+		},
+		position: {
+			type: Number,
+			default: 0,
+		},
+		blockedBy: [
+			{
+				type: mongoose.Schema.Types.ObjectId,
+				ref: "Task",
+			},
+		],
+		series: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "RecurringTask",
+			default: null,
+		},
+		occurrence: {
+			type: Number,
+			default: null,
+		},
+		skipped: {
+			type: Boolean,
+			default: false,
+		},
+		// Due date the owners were last told about being overdue
+		overdueNotifiedFor: {
+			type: Date,
+			default: null,
+			select: false,
+		},
+		// Due date the creator's manager was last alerted about
+		escalatedFor: {
+			type: Date,
+			default: null,
+			select: false,
+		},
+		// Due-soon reminders already sent ("<hours>h@<due date ms>")
+		remindersSent: {
+			type: [String],
+			select: false,
+		},
+		checklist: [
+			{
+				text: {
+					type: String,
+					required: [true, "Checklist item text is required"],
+					trim: true,
+					maxlength: [200, "Checklist item cannot exceed 200 characters"],
+				},
+				done: {
+					type: Boolean,
+					default: false,
+				},
+				doneAt: {
+					type: Date,
+					default: null,
+				},
+				doneBy: {
+					type: mongoose.Schema.Types.ObjectId,
+					ref: "User",
+					default: null,
+				},
+			},
+		],
 	},
 	{
 		timestamps: true,
@@ -171,7 +402,88 @@ taskSchema.index({ createdBy: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ status: 1 });
 taskSchema.index({ priority: 1 });
+taskSchema.index({ statusRank: 1 });
+taskSchema.index({ priorityRank: 1 });
 taskSchema.index({ tags: 1 });
+taskSchema.index({ "comments.mentions": 1 });
+taskSchema.index({ "attachments.uploadedBy": 1 });
+taskSchema.index({ parent: 1, position: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ project: 1, status: 1 });
+taskSchema.index(
+	{ series: 1, occurrence: 1 },
+	{ unique: true, partialFilterExpression: { series: { $type: "objectId" } } }
+);
+taskSchema.index({ title: "text", description: "text", tags: "text" });
+
+/**
+ * Load the task's project (cached until the project changes)
+ */
+taskSchema.methods.loadProject = function () {
+	return Project.loadFor(this);
+};
+
+// Pre-validate middleware to apply the project's categories and statuses
+taskSchema.pre("validate", async function () {
+	const projectChanged = this.isNew || this.isModified("project");
+	if (
+		!projectChanged &&
+		!this.isModified("category") &&
+		!this.isModified("status") &&
+		!this.isModified("customStatus") &&
+		!this.isModified("assignedTo")
+	) {
+		return;
+	}
+
+	const project = await this.loadProject();
+	if (!Project.checkTaskPlacement(this, project)) return;
+
+	// Statuses: an explicit custom status wins; otherwise the task gets
+	// the first custom status matching its lifecycle status
+	if (!project || !project.settings.statuses.length) {
+		if (this.customStatus !== null) {
+			if (this.isModified("customStatus") && !this.isModified("project")) {
+				this.invalidate(
+					"customStatus",
+					"Only tasks of projects with custom statuses have a custom status"
+				);
+			} else {
+				this.customStatus = null;
+			}
+		}
+		return;
+	}
+
+	const custom = this.customStatus && project.statusFor(this.customStatus);
+	if (this.isModified("customStatus") && this.customStatus !== null) {
+		if (!custom) {
+			this.invalidate(
+				"customStatus",
+				`Status must be one of: ${project.settings.statuses.map((status) => status.key).join(", ")}`
+			);
+			return;
+		}
+		this.status = custom.state;
+	} else if (!custom || custom.state !== this.status) {
+		const fallback = project.defaultStatusFor(this.status);
+		if (!fallback) {
+			this.invalidate(
+				"status",
+				`This project has no custom status for "${this.status}"`
+			);
+			return;
+		}
+		this.customStatus = fallback.key;
+	}
+});
+
+// Pre-save middleware to keep the status and priority sort ranks current
+taskSchema.pre("save", function (next) {
+	this.statusRank = STATUSES.indexOf(this.status);
+	this.priorityRank = PRIORITIES.indexOf(this.priority);
+	next();
+});
 
 // Pre-save middleware to update completedAt
 taskSchema.pre("save", function (next) {
@@ -183,6 +495,219 @@ taskSchema.pre("save", function (next) {
 	next();
 });
 
+// Remember tracked values as loaded so saves can diff against them
+taskSchema.post("init", function () {
+	this.$locals.tracked = trackedValues(this);
+});
+
+// Pre-save middleware to collect field-level activity
+taskSchema.pre("save", function (next) {
+	const activity = this.$locals.pendingActivity || [];
+	const actor = this.$locals.actor || null;
+
+	if (this.isNew) {
+		activity.unshift({ type: "created", to: this.status });
+	} else if (this.$locals.tracked) {
+		const current = trackedValues(this);
+		TRACKED_FIELDS.forEach((field) => {
+			const from = this.$locals.tracked[field];
+			const to = current[field];
+			if (JSON.stringify(from) !== JSON.stringify(to)) {
+				activity.push({ type: "field_changed", field, from, to });
+			}
+		});
+	}
+
+	this.$locals.pendingActivity = activity.map((entry) => ({
+		task: this._id,
+		actor,
+		...entry,
+	}));
+	next();
+});
+
+// Post-save middleware to write the collected activity
+taskSchema.post("save", async function () {
+	const activity = this.$locals.pendingActivity || [];
+	this.$locals.pendingActivity = [];
+	this.$locals.tracked = trackedValues(this);
+
+	if (activity.length) {
+		await TaskActivity.insertMany(activity, { session: this.$session() });
+	}
+	publishTaskEvents(this, activity);
+});
+
+// Pre-save middleware to note parents whose derived progress changes
+taskSchema.pre("save", function (next) {
+	const parents = new Set();
+	const previousParent = this.$locals.tracked && this.$locals.tracked.parent;
+
+	if (
+		this.parent &&
+		(this.isNew || this.isModified("status") || this.isModified("parent"))
+	) {
+		parents.add(this.parent.toString());
+	}
+	if (!this.isNew && this.isModified("parent") && previousParent) {
+		parents.add(previousParent);
+	}
+
+	this.$locals.parentsToSync = [...parents];
+	next();
+});
+
+// Post-save middleware to keep parent progress in line with subtasks
+taskSchema.post("save", async function () {
+	const parents = this.$locals.parentsToSync || [];
+	this.$locals.parentsToSync = [];
+
+	for (const parentId of parents) {
+		await this.constructor.syncProgressFromSubtasks(
+			parentId,
+			this.$locals.actor,
+			this.$session()
+		);
+	}
+});
+
+// Pre-save middleware to note when an occurrence of a recurring series
+// is closed (completed, cancelled or skipped)
+taskSchema.pre("save", function (next) {
+	const closed = ["completed", "cancelled"];
+	this.$locals.closedOccurrence =
+		Boolean(this.series) &&
+		!this.isNew &&
+		this.isModified("status") &&
+		closed.includes(this.status) &&
+		!closed.includes(this.$locals.tracked && this.$locals.tracked.status);
+	next();
+});
+
+// Post-save middleware to generate the next occurrence of the series
+taskSchema.post("save", async function () {
+	if (!this.$locals.closedOccurrence) return;
+	this.$locals.closedOccurrence = false;
+
+	try {
+		await RecurringTask.advanceAfter(this);
+	} catch (error) {
+		// A failed write has aborted the caller's transaction
+		if (this.$session()?.inTransaction()) throw error;
+		console.error("Failed to generate next occurrence:", error);
+	}
+});
+
+// Remove history, time entries and dependency links together with the
+// task; subtasks move up one level
+taskSchema.post(
+	"deleteOne",
+	{ document: true, query: false },
+	async function () {
+		const session = this.$session();
+
+		publish(
+			"task.deleted",
+			{ task: eventPayload(this) },
+			{ actor: this.$locals.actor, session }
+		);
+		await TaskActivity.deleteMany({ task: this._id }).session(session);
+		await mongoose
+			.model("TimeEntry")
+			.deleteMany({ task: this._id })
+			.session(session);
+		await this.constructor
+			.updateMany({ blockedBy: this._id }, { $pull: { blockedBy: this._id } })
+			.session(session);
+		await this.constructor
+			.updateMany({ parent: this._id }, { parent: this.parent || null })
+			.session(session);
+		if (this.parent) {
+			await this.constructor.syncProgressFromSubtasks(
+				this.parent,
+				this.$locals.actor,
+				session
+			);
+		}
+	}
+);
+
+// Instance method to set the user responsible for the next save
+taskSchema.methods.setActor = function (userId) {
+	this.$locals.actor = userId;
+	return this;
+};
+
+// Instance method to queue a non-field activity entry for the next save
+taskSchema.methods.queueActivity = function (entry) {
+	this.$locals.pendingActivity = this.$locals.pendingActivity || [];
+	this.$locals.pendingActivity.push(entry);
+	return this;
+};
+
+// Static method to find the direct subtasks of a task in display order
+taskSchema.statics.findSubtasks = function (parentId, filter = {}) {
+	return this.find({ ...filter, parent: parentId }).sort({
+		position: 1,
+		createdAt: 1,
+	});
+};
+
+// Static method to find subtasks that are neither completed nor cancelled
+taskSchema.statics.findOpenSubtasks = function (parentId) {
+	return this.find({ ...this.openCriteria(), parent: parentId }).select(
+		"title status"
+	);
+};
+
+// Static method to derive a parent's progress from its subtasks
+// (cancelled subtasks are not counted)
+taskSchema.statics.syncProgressFromSubtasks = async function (
+	parentId,
+	actor = null,
+	session = null
+) {
+	const parent = await this.findById(parentId).session(session);
+	if (!parent) return null;
+
+	const subtasks = await this.find({
+		parent: parentId,
+		status: { $ne: "cancelled" },
+	})
+		.select("status")
+		.session(session);
+	if (!subtasks.length) return parent;
+
+	const completed = subtasks.filter((t) => t.status === "completed").length;
+	parent.progress = Math.round((completed / subtasks.length) * 100);
+
+	if (parent.isModified("progress")) {
+		await parent.setActor(actor).save();
+	}
+	return parent;
+};
+
+// Static method to set the sort ranks of tasks saved before they existed
+taskSchema.statics.backfillSortRanks = async function () {
+	const { modifiedCount } = await this.updateMany(
+		{
+			$or: [
+				{ statusRank: { $exists: false } },
+				{ priorityRank: { $exists: false } },
+			],
+		},
+		[
+			{
+				$set: {
+					statusRank: { $indexOfArray: [STATUSES, "$status"] },
+					priorityRank: { $indexOfArray: [PRIORITIES, "$priority"] },
+				},
+			},
+		]
+	);
+	return modifiedCount;
+};
+
 // Static method to find tasks by user
 taskSchema.statics.findByUser = function (userId) {
 	return this.find({ assignedTo: userId }).populate(
@@ -191,12 +716,34 @@ taskSchema.statics.findByUser = function (userId) {
 	);
 };
 
-// Static method to find overdue tasks
-taskSchema.statics.findOverdue = function () {
-	return this.find({
+// Static method returning the query criteria for overdue tasks
+taskSchema.statics.overdueCriteria = function () {
+	return {
 		dueDate: { $lt: new Date() },
 		status: { $ne: "completed" },
-	}).populate("assignedTo", "firstName lastName email");
+	};
+};
+
+// Static method returning the query criteria for open
+// (neither completed nor cancelled) tasks
+taskSchema.statics.openCriteria = function () {
+	return { status: { $nin: ["completed", "cancelled"] } };
+};
+
+// Static method to find the open tasks blocking a task
+taskSchema.statics.findOpenBlockers = function (task) {
+	return this.find({
+		...this.openCriteria(),
+		_id: { $in: task.blockedBy || [] },
+	}).select("title status");
+};
+
+// Static method to find overdue tasks
+taskSchema.statics.findOverdue = function () {
+	return this.find(this.overdueCriteria()).populate(
+		"assignedTo",
+		"firstName lastName email"
+	);
 };
 
 // Static method to find tasks by status
@@ -208,14 +755,87 @@ taskSchema.statics.findByStatus = function (status) {
 };
 
 // Instance method to add comment
-taskSchema.methods.addComment = function (userId, content) {
+taskSchema.methods.addComment = function (userId, content, mentions = []) {
 	this.comments.push({
 		user: userId,
 		content: content,
+		mentions: mentions,
+	});
+	this.queueActivity({
+		type: "comment_added",
+		comment: this.comments[this.comments.length - 1]._id,
+		to: content,
 	});
 	return this.save();
 };
 
+// Instance method to edit comment
+taskSchema.methods.editComment = function (commentId, content, mentions = []) {
+	const comment = this.comments.id(commentId);
+	this.queueActivity({
+		type: "comment_edited",
+		comment: comment._id,
+		from: comment.content,
+		to: content,
+	});
+	comment.content = content;
+	comment.mentions = mentions;
+	comment.editedAt = new Date();
+	return this.save();
+};
+
+// Instance method to remove comment
+taskSchema.methods.removeComment = function (commentId) {
+	this.queueActivity({ type: "comment_deleted", comment: commentId });
+	this.comments.pull({ _id: commentId });
+	return this.save();
+};
+
+// Instance method to add attachments
+taskSchema.methods.addAttachments = function (attachments) {
+	attachments.forEach((attachment) => this.attachments.push(attachment));
+	return this.save();
+};
+
+// Instance method to remove attachment
+taskSchema.methods.removeAttachment = function (attachmentId) {
+	this.attachments.pull({ _id: attachmentId });
+	return this.save();
+};
+
+// Instance method to add a checklist item at the end of the list
+taskSchema.methods.addChecklistItem = function (text) {
+	this.checklist.push({ text });
+	return this.save();
+};
+
+// Instance method to edit a checklist item's text and/or done state
+taskSchema.methods.updateChecklistItem = function (itemId, updates, userId) {
+	const item = this.checklist.id(itemId);
+	if (updates.text !== undefined) {
+		item.text = updates.text;
+	}
+	if (updates.done !== undefined && updates.done !== item.done) {
+		item.done = updates.done;
+		item.doneAt = updates.done ? new Date() : null;
+		item.doneBy = updates.done ? userId : null;
+	}
+	return this.save();
+};
+
+// Instance method to remove a checklist item
+taskSchema.methods.removeChecklistItem = function (itemId) {
+	this.checklist.pull({ _id: itemId });
+	return this.save();
+};
+
+// Instance method to reorder the checklist by a full list of item IDs
+taskSchema.methods.reorderChecklist = function (itemIds) {
+	const items = itemIds.map((id) => this.checklist.id(id));
+	this.checklist = items;
+	return this.save();
+};
+
 // Instance method to update progress
 taskSchema.methods.updateProgress = function (progress) {
 	this.progress = Math.max(0, Math.min(100, progress));
@@ -227,4 +847,17 @@ taskSchema.methods.updateProgress = function (progress) {
 	return this.save();
 };
 
+// Static method to copy the client-writable fields out of a request body
+taskSchema.statics.pickWritable = function (source) {
+	return WRITABLE_FIELDS.reduce((result, field) => {
+		if (source[field] !== undefined) result[field] = source[field];
+		return result;
+	}, {});
+};
+
+taskSchema.statics.DEFAULT_CATEGORIES = Project.DEFAULT_CATEGORIES;
+taskSchema.statics.STATUSES = STATUSES;
+taskSchema.statics.PRIORITIES = PRIORITIES;
+taskSchema.statics.WRITABLE_FIELDS = WRITABLE_FIELDS;
+
 module.exports = mongoose.model("Task", taskSchema);
@@ -0,0 +1,124 @@
+/**
+ * TIME ENTRY MODEL - Time spent by users on tasks
+ *
+ * Features:
+ * - Timer entries (running until stopped) and manual entries
+ * - At most one running timer per user (unique partial index)
+ * - Keeps the task's actualHours equal to the sum of its finished entries
+ */
+
+const mongoose = require("mongoose");
+const Task = require("./task.model");
+
+const timeEntrySchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		task: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Task",
+			required: true,
+		},
+		startedAt: {
+			type: Date,
+			required: [true, "Start time is required"],
+		},
+		endedAt: {
+			type: Date,
+			default: null,
+		},
+		// Seconds between startedAt and endedAt (0 while running)
+		duration: {
+			type: Number,
+			min: [0, "Duration cannot be negative"],
+			default: 0,
+		},
+		running: {
+			type: Boolean,
+			default: false,
+		},
+		note: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Note cannot exceed 500 characters"],
+			default: "",
+		},
+		source: {
+			type: String,
+			enum: ["timer", "manual"],
+			default: "manual",
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: { virtuals: true },
+		toObject: { virtuals: true },
+	}
+);
+
+// Virtual for duration in hours
+timeEntrySchema.virtual("hours").get(function () {
+	return Math.round((this.duration / 3600) * 100) / 100;
+});
+
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index(
+	{ user: 1 },
+	{ unique: true, partialFilterExpression: { running: true } }
+);
+
+// Pre-validate middleware to derive duration and running state
+timeEntrySchema.pre("validate", function (next) {
+	if (this.endedAt) {
+		if (this.endedAt < this.startedAt) {
+			this.invalidate("endedAt", "End time must be after start time");
+		}
+		this.running = false;
+		this.duration = Math.max(
+			0,
+			Math.round((this.endedAt - this.startedAt) / 1000)
+		);
+	} else {
+		this.running = true;
+		this.duration = 0;
+	}
+	next();
+});
+
+// Recompute the task's actualHours after every change
+timeEntrySchema.post("save", async function () {
+	await this.constructor.syncTaskHours(this.task);
+});
+
+timeEntrySchema.post(
+	"deleteOne",
+	{ document: true, query: false },
+	async function () {
+		await this.constructor.syncTaskHours(this.task);
+	}
+);
+
+// Static method to find a user's running timer
+timeEntrySchema.statics.findRunning = function (userId) {
+	return this.findOne({ user: userId, running: true });
+};
+
+// Static method to set a task's actualHours from its finished entries
+timeEntrySchema.statics.syncTaskHours = async function (taskId) {
+	const [result] = await this.aggregate([
+		{ $match: { task: new mongoose.Types.ObjectId(taskId), running: false } },
+		{ $group: { _id: null, seconds: { $sum: "$duration" } } },
+	]);
+
+	const seconds = result ? result.seconds : 0;
+	await Task.updateOne(
+		{ _id: taskId },
+		{ actualHours: Math.round((seconds / 3600) * 100) / 100 }
+	);
+};
+
+module.exports = mongoose.model("TimeEntry", timeEntrySchema);
@@ -10,6 +10,10 @@
 
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { generateRandomToken, hashToken } = require("../utils/token.util");
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
 
 const userSchema = new mongoose.Schema(
 	{
@@ -42,11 +46,18 @@ const userSchema = new mongoose.Schema(
 			minlength: [6, "Password must be at least 6 characters long"],
 			select: false, // Don't include password in queries by default
 		},
+		// Name of a Role document (built-in or custom)
 		role: {
 			type: String,
-			enum: ["user", "admin", "manager"],
+			lowercase: true,
+			trim: true,
 			default: "user",
 		},
+		manager: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
 		avatar: {
 			type: String,
 			default: null,
@@ -60,10 +71,103 @@ const userSchema = new mongoose.Schema(
 			type: Boolean,
 			default: true,
 		},
+		isEmailVerified: {
+			type: Boolean,
+			default: false,
+		},
+		emailVerifiedAt: {
+			type: Date,
+			default: null,
+		},
+		emailVerificationTokenHash: {
+			type: String,
+			default: null,
+			select: false,
+		},
+		emailVerificationExpires: {
+			type: Date,
+			default: null,
+			select: false,
+		},
 		lastLogin: {
 			type: Date,
 			default: null,
 		},
+		failedLoginAttempts: {
+			type: Number,
+			default: 0,
+		},
+		lastFailedLogin: {
+			type: Date,
+			default: null,
+		},
+		lockedUntil: {
+			type: Date,
+			default: null,
+		},
+		passwordChangedAt: {
+			type: Date,
+			default: null,
+		},
+		passwordResetTokenHash: {
+			type: String,
+			default: null,
+			select: false,
+		},
+		passwordResetExpires: {
+			type: Date,
+			default: null,
+			select: false,
+		},
+		twoFactor: {
+			enabled: {
+				type: Boolean,
+				default: false,
+			},
+			enabledAt: {
+				type: Date,
+				default: null,
+			},
+			// Encrypted TOTP secrets (active and awaiting confirmation)
+			secret: {
+				type: String,
+				default: null,
+				select: false,
+			},
+			pendingSecret: {
+				type: String,
+				default: null,
+				select: false,
+			},
+			// Hashed single-use recovery codes
+			recoveryCodes: {
+				type: [String],
+				select: false,
+			},
+			// Last accepted TOTP time step, to reject replayed codes
+			lastUsedStep: {
+				type: Number,
+				default: null,
+				select: false,
+			},
+		},
+		// Personal calendar (.ics) feed; only the token hash is stored
+		calendarFeed: {
+			tokenHash: {
+				type: String,
+				default: null,
+				select: false,
+			},
+			createdAt: {
+				type: Date,
+				default: null,
+			},
+		},
+		// Incremented to invalidate every outstanding access token
+		tokenVersion: {
+			type: Number,
+			default: 0,
+		},
 		preferences: {
 			theme: {
 				type: String,
@@ -93,6 +197,11 @@ userSchema.virtual("fullName").get(function () {
 	return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for lockout status
+userSchema.virtual("isLocked").get(function () {
+	return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
 // Virtual for user ID
 userSchema.virtual("userId").get(function () {
 	return this._id;
@@ -102,6 +211,8 @@ userSchema.virtual("userId").get(function () {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ manager: 1 });
+userSchema.index({ "calendarFeed.tokenHash": 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
@@ -112,6 +223,13 @@ userSchema.pre("save", async function (next) {
 		// Hash password with cost of 12
 		const hashedPassword = await bcrypt.hash(this.password, 12);
 		this.password = hashedPassword;
+
+		// Any password change invalidates outstanding reset tokens
+		if (!this.isNew) {
+			this.passwordChangedAt = new Date();
+		}
+		this.passwordResetTokenHash = null;
+		this.passwordResetExpires = null;
 		next();
 	} catch (error) {
 		next(error);
@@ -123,21 +241,129 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 	return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to record a failed sign-in, locking the account once
+// `maxAttempts` is reached
+userSchema.methods.registerFailedLogin = function (maxAttempts, lockMs) {
+	// A lock that has run out starts a fresh count
+	if (this.lockedUntil && this.lockedUntil <= new Date()) {
+		this.failedLoginAttempts = 0;
+		this.lockedUntil = null;
+	}
+
+	this.failedLoginAttempts += 1;
+	this.lastFailedLogin = new Date();
+
+	if (this.failedLoginAttempts >= maxAttempts) {
+		this.lockedUntil = new Date(Date.now() + lockMs);
+	}
+
+	return this.save();
+};
+
+// Instance method to clear failed sign-in state
+userSchema.methods.resetLoginAttempts = function () {
+	this.failedLoginAttempts = 0;
+	this.lockedUntil = null;
+	return this.save();
+};
+
 // Instance method to get public profile
 userSchema.methods.getPublicProfile = function () {
 	const userObject = this.toObject();
 	delete userObject.password;
+	delete userObject.tokenVersion;
+	delete userObject.passwordResetTokenHash;
+	delete userObject.passwordResetExpires;
+	delete userObject.emailVerificationTokenHash;
+	delete userObject.emailVerificationExpires;
+	if (userObject.calendarFeed) {
+		delete userObject.calendarFeed.tokenHash;
+	}
+	if (userObject.twoFactor) {
+		userObject.twoFactor = {
+			enabled: userObject.twoFactor.enabled,
+			enabledAt: userObject.twoFactor.enabledAt,
+		};
+	}
 	return userObject;
 };
 
+// Instance method to create a single-use password reset token.
+// Only the hash is stored; the raw token is returned for emailing.
+userSchema.methods.createPasswordResetToken = function () {
+	const token = generateRandomToken();
+	this.passwordResetTokenHash = hashToken(token);
+	this.passwordResetExpires = new Date(
+		Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+	);
+	return token;
+};
+
+// Instance method to (re)generate the calendar feed token. Any previous
+// feed URL stops working; the raw token is returned for the new URL.
+userSchema.methods.createCalendarFeedToken = function () {
+	const token = generateRandomToken();
+	this.calendarFeed = { tokenHash: hashToken(token), createdAt: new Date() };
+	return token;
+};
+
+// Instance method to create an email verification token.
+// Issuing a new one replaces any previous token.
+userSchema.methods.createEmailVerificationToken = function () {
+	const token = generateRandomToken();
+	this.emailVerificationTokenHash = hashToken(token);
+	this.emailVerificationExpires = new Date(
+		Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+	);
+	return token;
+};
+
+// Instance method to mark the email address as verified
+userSchema.methods.markEmailVerified = function () {
+	this.isEmailVerified = true;
+	this.emailVerifiedAt = new Date();
+	this.emailVerificationTokenHash = null;
+	this.emailVerificationExpires = null;
+	return this.save();
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function (email) {
 	return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the user owning an unexpired reset token
+userSchema.statics.findByPasswordResetToken = function (token) {
+	return this.findOne({
+		passwordResetTokenHash: hashToken(token),
+		passwordResetExpires: { $gt: new Date() },
+	});
+};
+
+// Static method to find the active user owning a calendar feed token
+userSchema.statics.findByCalendarFeedToken = function (token) {
+	return this.findOne({
+		"calendarFeed.tokenHash": hashToken(token),
+		isActive: true,
+	});
+};
+
+// Static method to find the user owning an unexpired verification token
+userSchema.statics.findByEmailVerificationToken = function (token) {
+	return this.findOne({
+		emailVerificationTokenHash: hashToken(token),
+		emailVerificationExpires: { $gt: new Date() },
+	});
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function () {
 	return this.find({ isActive: true });
 };
 
+// Static method to list the IDs of a manager's direct reports
+userSchema.statics.findTeamMemberIds = function (managerId) {
+	return this.find({ manager: managerId }).distinct("_id");
+};
+
 module.exports = mongoose.model("User", userSchema);
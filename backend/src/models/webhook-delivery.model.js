@@ -0,0 +1,106 @@
+/**
+ * WEBHOOK DELIVERY MODEL - Persistent delivery queue and delivery log
+ *
+ * Features:
+ * - One document per event and webhook, kept after delivery as the log
+ * - Attempt count, next attempt time and the last response or error
+ * - Lease (lockedUntil) so only one worker sends a delivery at a time
+ * - Finished deliveries expire after WEBHOOK_DELIVERY_RETENTION_DAYS
+ */
+
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS =
+	parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const webhookDeliverySchema = new mongoose.Schema(
+	{
+		webhook: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "Webhook",
+			required: true,
+		},
+		event: {
+			type: String,
+			required: true,
+		},
+		eventId: {
+			type: String,
+			required: true,
+		},
+		// Exact JSON body sent to the receiver
+		payload: {
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: DELIVERY_STATUSES,
+			default: "pending",
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+		},
+		nextAttemptAt: {
+			type: Date,
+			default: Date.now,
+		},
+		lastAttemptAt: Date,
+		lockedUntil: {
+			type: Date,
+			default: null,
+		},
+		responseStatus: Number,
+		responseBody: String,
+		error: String,
+		durationMs: Number,
+		// Set when the delivery finishes; drives expiry of the log
+		completedAt: {
+			type: Date,
+			default: null,
+		},
+		// Original delivery when this one was sent manually again
+		redeliveryOf: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "WebhookDelivery",
+			default: null,
+		},
+		triggeredBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			default: null,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+	{ completedAt: 1 },
+	{ expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Static method to atomically lease the next due delivery
+webhookDeliverySchema.statics.claimNext = function (leaseMs) {
+	const now = new Date();
+	return this.findOneAndUpdate(
+		{
+			status: "pending",
+			nextAttemptAt: { $lte: now },
+			$or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+		},
+		{ $set: { lockedUntil: new Date(now.getTime() + leaseMs) } },
+		{ sort: { nextAttemptAt: 1 }, new: true }
+	);
+};
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,98 @@
+/**
+ * WEBHOOK MODEL - Outgoing webhook subscriptions
+ *
+ * Features:
+ * - Target URL and the event types it receives ("*" for all)
+ * - Signing secret stored encrypted and never selected by default
+ * - Pause and resume without losing the subscription
+ */
+
+const mongoose = require("mongoose");
+const { EVENT_TYPES } = require("../services/event.service");
+const { generateRandomToken } = require("../utils/token.util");
+const { sealSecret, openSecret } = require("../utils/secret.util");
+
+const ALL_EVENTS = "*";
+
+const webhookSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: [true, "Webhook name is required"],
+			trim: true,
+			maxlength: [100, "Webhook name cannot exceed 100 characters"],
+		},
+		description: {
+			type: String,
+			trim: true,
+			maxlength: [500, "Description cannot exceed 500 characters"],
+		},
+		url: {
+			type: String,
+			required: [true, "Webhook URL is required"],
+			trim: true,
+			match: [/^https?:\/\/\S+$/i, "Webhook URL must be an http(s) URL"],
+		},
+		events: {
+			type: [{ type: String, enum: [ALL_EVENTS, ...EVENT_TYPES] }],
+			validate: {
+				validator: (events) => events.length > 0,
+				message: "Subscribe to at least one event",
+			},
+		},
+		// Sealed with sealSecret; use getSecret() to read it
+		secret: {
+			type: String,
+			required: true,
+			select: false,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+		toJSON: {
+			transform: (doc, ret) => {
+				delete ret.secret;
+				return ret;
+			},
+		},
+	}
+);
+
+// Indexes for better query performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Instance method to issue a new signing secret.
+// Returns the raw secret; only its sealed form is stored.
+webhookSchema.methods.createSecret = function () {
+	const secret = `whsec_${generateRandomToken()}`;
+	this.secret = sealSecret(secret);
+	return secret;
+};
+
+// Instance method to read the signing secret (requires +secret)
+webhookSchema.methods.getSecret = function () {
+	return openSecret(this.secret);
+};
+
+// Instance method to check an event type against the subscription
+webhookSchema.methods.subscribesTo = function (type) {
+	return this.events.includes(ALL_EVENTS) || this.events.includes(type);
+};
+
+// Static method to find active webhooks subscribed to an event type
+webhookSchema.statics.findSubscribers = function (type) {
+	return this.find({ isActive: true, events: { $in: [ALL_EVENTS, type] } });
+};
+
+webhookSchema.statics.ALL_EVENTS = ALL_EVENTS;
+
+module.exports = mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,96 @@
+/**
+ * ACTIVITY ROUTES - Change history of a task
+ *
+ * Mounted at /api/tasks/:id/activity
+ *
+ * Features:
+ * - Field-level changes and comment events with actor and timestamp
+ * - Status timeline with time spent per status and reopen count
+ */
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const TaskActivity = require("../models/task-activity.model");
+const { asyncHandler } = require("../middleware/error.middleware");
+const { findTaskWithAccess } = require("../utils/task-access.util");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const { getStatusMetrics } = require("../services/task-activity.service");
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/tasks/:id/activity
+ * @desc    List a task's activity, oldest first (sort=-createdAt for newest)
+ * @query   type, field, sort, page, limit, cursor
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/",
+	[
+		query("type")
+			.optional()
+			.isIn(TaskActivity.schema.path("type").enumValues)
+			.withMessage("Invalid activity type"),
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		const filter = { task: task._id };
+		if (req.query.type) filter.type = req.query.type;
+		if (req.query.field) filter.field = String(req.query.field);
+
+		const { items, pagination } = await paginate(
+			TaskActivity,
+			filter,
+			{
+				sort: parseSort(req.query.sort, ["createdAt"], "createdAt"),
+				...parsePagination(req.query),
+			},
+			(q) => q.populate("actor", "firstName lastName email")
+		);
+
+		res.json({
+			success: true,
+			data: items,
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/tasks/:id/activity/metrics
+ * @desc    Status timeline, time spent in each status (ms) and reopen count
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/metrics",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		res.json({
+			success: true,
+			data: await getStatusMetrics(task),
+		});
+	})
+);
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * ATTACHMENT ROUTES - File attachments on tasks
+ *
+ * Mounted at /api/tasks/:id/attachments
+ *
+ * Features:
+ * - Multipart upload (field name "files")
+ * - Authorized download
+ * - Deleting an attachment removes the file on disk
+ */
+
+const express = require("express");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	uploadAttachments,
+	storedPath,
+} = require("../middleware/upload.middleware");
+const {
+	findTaskWithAccess,
+	canEditTask,
+	assertTaskProjectActive,
+} = require("../utils/task-access.util");
+const {
+	resolveStoredPath,
+	removeStoredFiles,
+} = require("../utils/file-storage.util");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router({ mergeParams: true });
+
+const findAttachment = (task, attachmentId) => {
+	const attachment = task.attachments.id(attachmentId);
+	if (!attachment) {
+		throw new AppError("Attachment not found", 404);
+	}
+	return attachment;
+};
+
+/**
+ * @route   GET /api/tasks/:id/attachments
+ * @desc    List attachments on a task
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		res.json({
+			success: true,
+			data: task.attachments,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Upload one or more attachments
+ * @access  Private (task editors)
+ */
+router.post(
+	"/",
+	asyncHandler(async (req, res, next) => {
+		req.task = await findTaskWithAccess(req.params.id, req.user, "edit");
+		next();
+	}),
+	uploadAttachments,
+	asyncHandler(async (req, res) => {
+		const attachments = req.files.map((file) => ({
+			filename: file.filename,
+			originalName: file.originalname,
+			path: storedPath(file),
+			size: file.size,
+			mimeType: file.mimetype,
+			uploadedBy: req.user._id,
+		}));
+
+		try {
+			await req.task.addAttachments(attachments);
+		} catch (error) {
+			await removeStoredFiles(attachments.map((a) => a.path));
+			throw error;
+		}
+
+		await recordAudit(req, "create", "task.attachment", {
+			resourceId: req.task._id,
+			metadata: {
+				files: attachments.map(({ originalName, size, mimeType }) => ({
+					originalName,
+					size,
+					mimeType,
+				})),
+			},
+		});
+
+		res.status(201).json({
+			success: true,
+			data: req.task.attachments.slice(-attachments.length),
+		});
+	})
+);
+
+/**
+ * @route   GET /api/tasks/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/:attachmentId",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		const attachment = findAttachment(task, req.params.attachmentId);
+
+		res.download(resolveStoredPath(attachment.path), attachment.originalName);
+	})
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its file
+ * @access  Private (uploader or task editors)
+ */
+router.delete(
+	"/:attachmentId",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		await assertTaskProjectActive(task);
+		const attachment = findAttachment(task, req.params.attachmentId);
+
+		const isUploader =
+			attachment.uploadedBy &&
+			attachment.uploadedBy.toString() === req.user._id.toString();
+		if (!isUploader && !(await canEditTask(req.user, task))) {
+			throw new AppError(
+				"You do not have permission to delete this attachment",
+				403
+			);
+		}
+
+		await task.removeAttachment(attachment._id);
+		await removeStoredFiles([attachment.path]);
+		await recordAudit(req, "delete", "task.attachment", {
+			resourceId: task._id,
+			before: attachment,
+			metadata: { attachmentId: attachment._id },
+		});
+
+		res.json({
+			success: true,
+			message: "Attachment deleted successfully",
+		});
+	})
+);
+
+module.exports = router;
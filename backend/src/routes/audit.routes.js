@@ -0,0 +1,93 @@
+/**
+ * AUDIT ROUTES - Browse the audit log
+ *
+ * Features:
+ * - Filters by actor, action, resource and time range
+ * - Page or cursor pagination, newest first
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { query, validationResult } = require("express-validator");
+const AuditLog = require("../models/audit-log.model");
+const { asyncHandler } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const { toList } = require("../utils/task-query.util");
+
+const router = express.Router();
+
+router.use(requirePermission("audit:read"));
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit entries
+ * @query   actor, action, resource, resourceId, requestId, from, to,
+ *          page, limit, cursor
+ * @access  Private ("audit:read")
+ */
+router.get(
+	"/",
+	[
+		query("actor").optional().isMongoId().withMessage("Invalid actor"),
+		query("resourceId")
+			.optional()
+			.isMongoId()
+			.withMessage("Invalid resourceId"),
+		query("from").optional().isISO8601().withMessage("Invalid from date"),
+		query("to").optional().isISO8601().withMessage("Invalid to date"),
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const { actor, action, resource, resourceId, requestId, from, to } =
+			req.query;
+		const filter = {};
+
+		if (actor) filter.actor = new mongoose.Types.ObjectId(actor);
+		if (action) filter.action = { $in: toList(action) };
+		if (resource) filter.resource = { $in: toList(resource) };
+		if (resourceId) filter.resourceId = new mongoose.Types.ObjectId(resourceId);
+		if (requestId) filter.requestId = String(requestId);
+		if (from || to) {
+			filter.createdAt = {};
+			if (from) filter.createdAt.$gte = new Date(from);
+			if (to) filter.createdAt.$lte = new Date(to);
+		}
+
+		const { items, pagination } = await paginate(
+			AuditLog,
+			filter,
+			{
+				sort: parseSort("-createdAt", ["createdAt"]),
+				...parsePagination(req.query),
+			},
+			(q) => q.populate("actor", "firstName lastName email")
+		);
+
+		res.json({
+			success: true,
+			data: items,
+			pagination,
+		});
+	})
+);
+
+module.exports = router;
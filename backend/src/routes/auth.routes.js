@@ -2,31 +2,116 @@
  * AUTH ROUTES - Authentication endpoints
  *
  * Features:
- * - User registration
+ * - User registration with email verification
  * - User login
  * - Password reset
- * - Token refresh
+ * - Token refresh with rotation
+ * - Server-side logout
  */
 
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const jwt = require("jsonwebtoken");
-const bcrypt = require("bcryptjs");
 const User = require("../models/user.model");
 const { asyncHandler } = require("../middleware/error.middleware");
 const { authenticateToken } = require("../middleware/auth.middleware");
+const {
+	issueTokens,
+	rotateRefreshToken,
+	revokeAllSessions,
+	requestMeta,
+} = require("../services/token.service");
+const { sendTemplate } = require("../services/mail.service");
+const {
+	checkLoginAllowed,
+	recordFailedLogin,
+} = require("../services/login-guard.service");
+const {
+	isTwoFactorRequired,
+	beginEnrollment,
+	confirmEnrollment,
+	verifySecondFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes,
+	createChallengeToken,
+	verifyChallengeToken,
+} = require("../services/two-factor.service");
+const { getUserPermissions } = require("../services/permission.service");
+const { recordAudit } = require("../services/audit.service");
 
 const router = express.Router();
 
 /**
- * Generate JWT token
+ * Respond to a throttled or locked sign-in attempt
  */
-const generateToken = (userId) => {
-	return jwt.sign({ userId }, process.env.JWT_SECRET, {
-		expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+const sendLoginRejection = (res, rejection) => {
+	res.set("Retry-After", String(Math.max(1, rejection.retryAfter)));
+	return res.status(rejection.statusCode).json({
+		success: false,
+		message: rejection.message,
+		code: rejection.code,
+		retryAfter: rejection.retryAfter,
 	});
 };
 
+/**
+ * Count a failed sign-in and audit it. Returns a lockout rejection when
+ * this failure locked the account.
+ */
+const handleFailedLogin = async (req, user, reason) => {
+	await recordAudit(req, "login_failed", "auth", {
+		resourceId: user ? user._id : null,
+		actor: user,
+		metadata: { email: req.body.email, reason },
+	});
+	return recordFailedLogin(req.ip, user);
+};
+
+/**
+ * Issue tokens for a fully authenticated user and send the login response
+ */
+const completeLogin = async (req, res, user) => {
+	const { token, refreshToken, expiresIn } = await issueTokens(
+		user,
+		requestMeta(req)
+	);
+
+	// Update last login and clear failed attempts
+	user.lastLogin = new Date();
+	await user.resetLoginAttempts();
+	await recordAudit(req, "login", "auth", {
+		resourceId: user._id,
+		actor: user,
+		metadata: { twoFactor: user.twoFactor.enabled },
+	});
+
+	const twoFactorSetupRequired =
+		!user.twoFactor.enabled && (await isTwoFactorRequired(user));
+
+	res.json({
+		success: true,
+		message: "Login successful",
+		data: {
+			user: user.getPublicProfile(),
+			token,
+			refreshToken,
+			expiresIn,
+			...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+		},
+	});
+};
+
+/**
+ * Email a verification link for a freshly created token
+ */
+const sendVerificationEmail = (user, token) =>
+	sendTemplate("emailVerification", user.email, {
+		user,
+		token,
+		expiresInHours: Math.round(
+			(user.emailVerificationExpires - Date.now()) / 3600000
+		),
+	});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -52,8 +137,8 @@ router.post(
 			.withMessage("Password must be at least 6 characters long"),
 		body("role")
 			.optional()
-			.isIn(["user", "admin", "manager"])
-			.withMessage("Invalid role"),
+			.isIn(["user"])
+			.withMessage("Self-registration can only create user accounts"),
 	],
 	asyncHandler(async (req, res) => {
 		// Check for validation errors
@@ -66,7 +151,7 @@ router.post(
 			});
 		}
 
-		const { firstName, lastName, email, password, role = "user" } = req.body;
+		const { firstName, lastName, email, password } = req.body;
 
 		// Check if user already exists
 		const existingUser = await User.findByEmail(email);
@@ -77,30 +162,26 @@ router.post(
 			});
 		}
 
-		// Create new user
+		// Create new unverified user; self-registration is always "user"
 		const user = new User({
 			firstName,
 			lastName,
 			email,
 			password,
-			role,
+			role: "user",
 		});
 
+		const verificationToken = user.createEmailVerificationToken();
 		await user.save();
-
-		// Generate token
-		const token = generateToken(user._id);
-
-		// Update last login
-		user.lastLogin = new Date();
-		await user.save();
+		await sendVerificationEmail(user, verificationToken);
+		await recordAudit(req, "register", "user", { after: user, actor: user });
 
 		res.status(201).json({
 			success: true,
-			message: "User registered successfully",
+			message:
+				"User registered successfully. Check your email to verify your account",
 			data: {
 				user: user.getPublicProfile(),
-				token,
 			},
 		});
 	})
@@ -133,10 +214,19 @@ router.post(
 
 		const { email, password } = req.body;
 
-		// Find user by email (include password for comparison)
-		const user = await User.findByEmail(email).select("+password");
+		// Find user by email (include password and 2FA state for checks)
+		const user = await User.findByEmail(email).select(
+			"+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+		);
+
+		// Brute-force protection (per IP and per account)
+		const rejection = await checkLoginAllowed(req.ip, user);
+		if (rejection) {
+			return sendLoginRejection(res, rejection);
+		}
 
 		if (!user) {
+			await handleFailedLogin(req, null, "unknown-email");
 			return res.status(401).json({
 				success: false,
 				message: "Invalid email or password",
@@ -154,26 +244,171 @@ router.post(
 		// Check password
 		const isPasswordValid = await user.comparePassword(password);
 		if (!isPasswordValid) {
+			const lockout = await handleFailedLogin(req, user, "invalid-password");
+			if (lockout) {
+				return sendLoginRejection(res, lockout);
+			}
 			return res.status(401).json({
 				success: false,
 				message: "Invalid email or password",
 			});
 		}
 
-		// Generate token
-		const token = generateToken(user._id);
+		// Unverified accounts cannot sign in
+		if (!user.isEmailVerified) {
+			return res.status(403).json({
+				success: false,
+				message: "Please verify your email address before signing in",
+				code: "EMAIL_NOT_VERIFIED",
+			});
+		}
 
-		// Update last login
-		user.lastLogin = new Date();
-		await user.save();
+		// Second step required when two-factor authentication is on
+		if (user.twoFactor.enabled) {
+			return res.json({
+				success: true,
+				message: "Two-factor authentication required",
+				data: {
+					twoFactorRequired: true,
+					challengeToken: createChallengeToken(user),
+				},
+			});
+		}
+
+		await completeLogin(req, res, user);
+	})
+);
+
+// Either a TOTP code or a recovery code
+const secondFactorValidation = body().custom((value) => {
+	if (!value || (!value.code && !value.recoveryCode)) {
+		throw new Error("A two-factor code or recovery code is required");
+	}
+	return true;
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish a two-factor login with a TOTP or recovery code
+ * @access  Public (requires a challenge token from /login)
+ */
+router.post(
+	"/login/2fa",
+	[
+		body("challengeToken")
+			.notEmpty()
+			.withMessage("Challenge token is required"),
+		secondFactorValidation,
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const user = await verifyChallengeToken(req.body.challengeToken);
+
+		const rejection = await checkLoginAllowed(req.ip, user);
+		if (rejection) {
+			return sendLoginRejection(res, rejection);
+		}
+
+		if (!verifySecondFactor(user, req.body)) {
+			const lockout = await handleFailedLogin(req, user, "invalid-2fa-code");
+			if (lockout) {
+				return sendLoginRejection(res, lockout);
+			}
+			return res.status(401).json({
+				success: false,
+				message: "Invalid two-factor code",
+				code: "INVALID_2FA_CODE",
+			});
+		}
+
+		await completeLogin(req, res, user);
+	})
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify an email address (sign in afterwards with /login)
+ * @access  Public
+ */
+router.post(
+	"/verify-email",
+	[body("token").notEmpty().withMessage("Verification token is required")],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const user = await User.findByEmailVerificationToken(req.body.token);
+		if (!user) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid or expired verification token",
+			});
+		}
+
+		// Signing in is left to /login, which applies lockout and 2FA
+		await user.markEmailVerified();
+		await recordAudit(req, "verify_email", "user", {
+			resourceId: user._id,
+			actor: user,
+		});
 
 		res.json({
 			success: true,
-			message: "Login successful",
-			data: {
-				user: user.getPublicProfile(),
-				token,
-			},
+			message: "Email verified successfully; you can now sign in",
+		});
+	})
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email
+ * @access  Public
+ */
+router.post(
+	"/resend-verification",
+	[
+		body("email")
+			.isEmail()
+			.normalizeEmail()
+			.withMessage("Please provide a valid email"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const user = await User.findByEmail(req.body.email);
+
+		// Don't reveal if user exists or is already verified
+		if (user && user.isActive && !user.isEmailVerified) {
+			const verificationToken = user.createEmailVerificationToken();
+			await user.save();
+			await sendVerificationEmail(user, verificationToken);
+		}
+
+		res.json({
+			success: true,
+			message:
+				"If an unverified account with that email exists, a verification link has been sent",
 		});
 	})
 );
@@ -202,42 +437,37 @@ router.post(
 		}
 
 		const { email } = req.body;
+		const genericResponse = {
+			success: true,
+			message:
+				"If an account with that email exists, a password reset link has been sent",
+		};
 
 		const user = await User.findByEmail(email);
-		if (!user) {
+		if (!user || !user.isActive) {
 			// Don't reveal if user exists or not
-			return res.json({
-				success: true,
-				message:
-					"If an account with that email exists, a password reset link has been sent",
-			});
+			return res.json(genericResponse);
 		}
 
-		// Generate reset token (in a real app, you'd send this via email)
-		const resetToken = jwt.sign(
-			{ userId: user._id, type: "password-reset" },
-			process.env.JWT_SECRET,
-			{ expiresIn: "1h" }
-		);
-
-		// In a real application, you would:
-		// 1. Save the reset token to the user document
-		// 2. Send an email with the reset link
-		// 3. Use a proper email service
+		// Store the hashed token; the raw token only leaves by email
+		const resetToken = user.createPasswordResetToken();
+		await user.save();
 
-		res.json({
-			success: true,
-			message: "Password reset link sent to your email",
-			data: {
-				resetToken, // In production, don't send this in response
-			},
+		await sendTemplate("passwordReset", user.email, {
+			user,
+			token: resetToken,
+			expiresInMinutes: Math.round(
+				(user.passwordResetExpires - Date.now()) / 60000
+			),
 		});
+
+		res.json(genericResponse);
 	})
 );
 
 /**
  * @route   POST /api/auth/reset-password
- * @desc    Reset password with token
+ * @desc    Reset password with a single-use token
  * @access  Public
  */
 router.post(
@@ -260,40 +490,63 @@ router.post(
 
 		const { token, password } = req.body;
 
-		try {
-			// Verify reset token
-			const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-			if (decoded.type !== "password-reset") {
-				return res.status(400).json({
-					success: false,
-					message: "Invalid reset token",
-				});
-			}
+		const user = await User.findByPasswordResetToken(token);
+		if (!user) {
+			return res.status(400).json({
+				success: false,
+				message: "Invalid or expired reset token",
+			});
+		}
 
-			// Find user
-			const user = await User.findById(decoded.userId);
-			if (!user) {
-				return res.status(400).json({
-					success: false,
-					message: "Invalid reset token",
-				});
-			}
+		// Saving a new password clears the reset token (single use)
+		user.password = password;
+		await user.save();
+		await revokeAllSessions(user._id, "password-reset");
+		await recordAudit(req, "password_reset", "user", {
+			resourceId: user._id,
+			actor: user,
+		});
+		await sendTemplate("passwordChanged", user.email, { user });
 
-			// Update password
-			user.password = password;
-			await user.save();
+		res.json({
+			success: true,
+			message: "Password reset successful",
+		});
+	})
+);
 
-			res.json({
-				success: true,
-				message: "Password reset successful",
-			});
-		} catch (error) {
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair (rotation)
+ * @access  Public
+ */
+router.post(
+	"/refresh",
+	[body("refreshToken").notEmpty().withMessage("Refresh token is required")],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
 			return res.status(400).json({
 				success: false,
-				message: "Invalid or expired reset token",
+				message: "Validation failed",
+				errors: errors.array(),
 			});
 		}
+
+		const { user, token, refreshToken, expiresIn } = await rotateRefreshToken(
+			req.body.refreshToken,
+			requestMeta(req)
+		);
+
+		res.json({
+			success: true,
+			data: {
+				user: user.getPublicProfile(),
+				token,
+				refreshToken,
+				expiresIn,
+			},
+		});
 	})
 );
 
@@ -313,6 +566,7 @@ router.get(
 			success: true,
 			data: {
 				user: req.user.getPublicProfile(),
+				permissions: await getUserPermissions(req.user),
 			},
 		});
 	})
@@ -320,16 +574,15 @@ router.get(
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user and revoke all of their tokens
  * @access  Private
  */
 router.post(
 	"/logout",
 	authenticateToken,
 	asyncHandler(async (req, res) => {
-		// In a real application, you might want to:
-		// 1. Add the token to a blacklist
-		// 2. Update user's last logout time
+		await revokeAllSessions(req.user._id, "logout");
+		await recordAudit(req, "logout", "auth", { resourceId: req.user._id });
 
 		res.json({
 			success: true,
@@ -338,4 +591,122 @@ router.post(
 	})
 );
 
+const codeValidation = [
+	body("code")
+		.matches(/^\d{6}$/)
+		.withMessage("A 6-digit two-factor code is required"),
+];
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post(
+	"/2fa/setup",
+	authenticateToken,
+	asyncHandler(async (req, res) => {
+		const { secret, otpauthUri } = await beginEnrollment(req.user._id);
+
+		res.json({
+			success: true,
+			message: "Scan the code with your authenticator app, then confirm",
+			data: { secret, otpauthUri },
+		});
+	})
+);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrollment with a code; returns recovery codes once
+ * @access  Private
+ */
+router.post(
+	"/2fa/confirm",
+	authenticateToken,
+	codeValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+		await recordAudit(req, "2fa_enable", "user", { resourceId: req.user._id });
+
+		res.json({
+			success: true,
+			message: "Two-factor authentication enabled",
+			data: { recoveryCodes },
+		});
+	})
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Private
+ */
+router.post(
+	"/2fa/recovery-codes",
+	authenticateToken,
+	codeValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const recoveryCodes = await regenerateRecoveryCodes(
+			req.user._id,
+			req.body.code
+		);
+		await recordAudit(req, "2fa_recovery_codes", "user", {
+			resourceId: req.user._id,
+		});
+
+		res.json({
+			success: true,
+			data: { recoveryCodes },
+		});
+	})
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication (requires a code)
+ * @access  Private
+ */
+router.post(
+	"/2fa/disable",
+	authenticateToken,
+	secondFactorValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		await disableTwoFactor(req.user._id, req.body || {});
+		await recordAudit(req, "2fa_disable", "user", { resourceId: req.user._id });
+
+		res.json({
+			success: true,
+			message: "Two-factor authentication disabled",
+		});
+	})
+);
+
 module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * CALENDAR ROUTES - Personal iCalendar (.ics) task feeds
+ *
+ * Features:
+ * - Token-protected feed of the tasks assigned to a user, usable by
+ *   calendar apps that cannot send auth headers
+ * - VTODO (default) or all-day VEVENT entries with status, priority
+ *   and a link back to the task
+ * - Completed and cancelled tasks only when requested
+ * - Token generation, regeneration and revocation
+ */
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const Task = require("../models/task.model");
+const User = require("../models/user.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	authenticateToken,
+	enforceTwoFactor,
+} = require("../middleware/auth.middleware");
+const { buildCalendar } = require("../utils/ical.util");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router();
+
+const protect = [authenticateToken, enforceTwoFactor];
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:4200";
+const MAX_FEED_TASKS = 1000;
+
+const feedUrl = (req, token) =>
+	`${process.env.API_URL || `${req.protocol}://${req.get("host")}`}/api/calendar/feed/${token}.ics`;
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Whether the current user has a calendar feed
+ * @access  Private
+ */
+router.get(
+	"/feed",
+	protect,
+	asyncHandler(async (req, res) => {
+		const user = await User.findById(req.user._id).select(
+			"+calendarFeed.tokenHash"
+		);
+
+		res.json({
+			success: true,
+			data: {
+				enabled: Boolean(user.calendarFeed && user.calendarFeed.tokenHash),
+				createdAt: user.calendarFeed ? user.calendarFeed.createdAt : null,
+			},
+		});
+	})
+);
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create or regenerate the feed URL (the old URL stops working).
+ *          The URL is only shown in this response.
+ * @access  Private
+ */
+router.post(
+	"/feed",
+	protect,
+	asyncHandler(async (req, res) => {
+		const user = await User.findById(req.user._id);
+		const token = user.createCalendarFeedToken();
+		await user.save();
+		await recordAudit(req, "regenerate", "calendar_feed", {
+			resourceId: user._id,
+		});
+
+		res.status(201).json({
+			success: true,
+			data: {
+				url: feedUrl(req, token),
+				createdAt: user.calendarFeed.createdAt,
+			},
+			message:
+				"Keep this URL private; append ?completed=true, ?cancelled=true or ?type=event as needed",
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Revoke the feed URL
+ * @access  Private
+ */
+router.delete(
+	"/feed",
+	protect,
+	asyncHandler(async (req, res) => {
+		await User.updateOne(
+			{ _id: req.user._id },
+			{ calendarFeed: { tokenHash: null, createdAt: null } }
+		);
+		await recordAudit(req, "revoke", "calendar_feed", {
+			resourceId: req.user._id,
+		});
+
+		res.json({
+			success: true,
+			message: "Calendar feed revoked",
+		});
+	})
+);
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    iCalendar feed of the tasks assigned to the token's owner
+ * @query   type (todo or event), completed, cancelled
+ * @access  Public (feed token)
+ */
+router.get(
+	"/feed/:token.ics",
+	[
+		query("type")
+			.optional()
+			.isIn(["todo", "event"])
+			.withMessage("type must be todo or event"),
+		query(["completed", "cancelled"])
+			.optional()
+			.isIn(["true", "false"])
+			.withMessage("completed and cancelled must be true or false"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const user = await User.findByCalendarFeedToken(req.params.token);
+		if (!user) {
+			throw new AppError("Calendar feed not found", 404);
+		}
+
+		const statuses = ["pending", "in-progress"];
+		if (req.query.completed === "true") statuses.push("completed");
+		if (req.query.cancelled === "true") statuses.push("cancelled");
+
+		const tasks = await Task.find({
+			assignedTo: user._id,
+			status: { $in: statuses },
+		})
+			.sort({ dueDate: -1 })
+			.limit(MAX_FEED_TASKS);
+
+		res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+		res.setHeader("Cache-Control", "private, max-age=300");
+		res.send(
+			buildCalendar(tasks, {
+				name: `TaskFlow - ${user.fullName}`,
+				type: req.query.type || "todo",
+				linkFor: (task) => `${FRONTEND_URL}/tasks/${task._id}`,
+			})
+		);
+	})
+);
+
+module.exports = router;
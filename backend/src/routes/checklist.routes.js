@@ -0,0 +1,214 @@
+/**
+ * CHECKLIST ROUTES - Lightweight checklist items on tasks
+ *
+ * Mounted at /api/tasks/:id/checklist
+ *
+ * Features:
+ * - Add, edit, check off and remove items
+ * - Reorder items
+ */
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { findTaskWithAccess } = require("../utils/task-access.util");
+const { recordAudit, snapshot } = require("../services/audit.service");
+
+const router = express.Router({ mergeParams: true });
+
+const textValidation = (optional = false) => {
+	const chain = body("text");
+	return (optional ? chain.optional() : chain)
+		.isString()
+		.trim()
+		.notEmpty()
+		.withMessage("Checklist item text is required")
+		.isLength({ max: 200 })
+		.withMessage("Checklist item cannot exceed 200 characters");
+};
+
+const findItem = (task, itemId) => {
+	const item = task.checklist.id(itemId);
+	if (!item) {
+		throw new AppError("Checklist item not found", 404);
+	}
+	return item;
+};
+
+/**
+ * @route   GET /api/tasks/:id/checklist
+ * @desc    List checklist items in order
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		res.json({
+			success: true,
+			data: task.checklist,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/tasks/:id/checklist
+ * @desc    Add a checklist item
+ * @access  Private (task editors)
+ */
+router.post(
+	"/",
+	[textValidation()],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
+
+		await task.addChecklistItem(req.body.text);
+		const item = task.checklist[task.checklist.length - 1];
+		await recordAudit(req, "create", "task.checklist", {
+			resourceId: task._id,
+			after: item,
+			metadata: { itemId: item._id },
+		});
+
+		res.status(201).json({
+			success: true,
+			data: item,
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/order
+ * @desc    Reorder checklist items; `order` lists every item ID once
+ * @access  Private (task editors)
+ */
+router.put(
+	"/order",
+	[
+		body("order").isArray({ min: 1 }).withMessage("order must be an array"),
+		body("order.*").isMongoId().withMessage("Invalid checklist item ID"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
+
+		const current = task.checklist.map((item) => item._id.toString()).sort();
+		const requested = [...new Set(req.body.order)].sort();
+		if (
+			requested.length !== req.body.order.length ||
+			current.join() !== requested.join()
+		) {
+			throw new AppError(
+				"order must list every checklist item exactly once",
+				400
+			);
+		}
+
+		await task.reorderChecklist(req.body.order);
+		await recordAudit(req, "reorder", "task.checklist", {
+			resourceId: task._id,
+			metadata: { order: req.body.order },
+		});
+
+		res.json({
+			success: true,
+			data: task.checklist,
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/:itemId
+ * @desc    Edit a checklist item's text and/or done state
+ * @access  Private (task editors)
+ */
+router.put(
+	"/:itemId",
+	[
+		textValidation(true),
+		body("done").optional().isBoolean().withMessage("done must be a boolean"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
+		const item = findItem(task, req.params.itemId);
+		const before = snapshot(item);
+
+		await task.updateChecklistItem(
+			item._id,
+			{
+				text: req.body.text,
+				done:
+					req.body.done === undefined
+						? undefined
+						: req.body.done === true || req.body.done === "true",
+			},
+			req.user._id
+		);
+		await recordAudit(req, "update", "task.checklist", {
+			resourceId: task._id,
+			before,
+			after: item,
+			metadata: { itemId: item._id },
+		});
+
+		res.json({
+			success: true,
+			data: item,
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @desc    Remove a checklist item
+ * @access  Private (task editors)
+ */
+router.delete(
+	"/:itemId",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
+		const item = findItem(task, req.params.itemId);
+		const before = snapshot(item);
+
+		await task.removeChecklistItem(item._id);
+		await recordAudit(req, "delete", "task.checklist", {
+			resourceId: task._id,
+			before,
+			metadata: { itemId: item._id },
+		});
+
+		res.json({
+			success: true,
+			message: "Checklist item removed successfully",
+		});
+	})
+);
+
+module.exports = router;
@@ -0,0 +1,222 @@
+/**
+ * COMMENT ROUTES - Comment threads on tasks
+ *
+ * Mounted at /api/tasks/:id/comments
+ *
+ * Features:
+ * - Paginated comment listing
+ * - Author-only edits with an edited timestamp
+ * - @email / @userId mentions
+ */
+
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	assertTaskProjectActive,
+	findTaskWithAccess,
+} = require("../utils/task-access.util");
+const { parsePagination } = require("../utils/pagination.util");
+const { resolveMentions } = require("../utils/mention.util");
+const { hasPermission } = require("../services/permission.service");
+const { recordAudit, snapshot } = require("../services/audit.service");
+
+const router = express.Router({ mergeParams: true });
+
+const contentValidation = [
+	body("content")
+		.trim()
+		.notEmpty()
+		.withMessage("Comment content is required")
+		.isLength({ max: 500 })
+		.withMessage("Comment cannot exceed 500 characters"),
+];
+
+const populateComments = (task) =>
+	task.populate([
+		{ path: "comments.user", select: "firstName lastName email avatar" },
+		{ path: "comments.mentions", select: "firstName lastName email" },
+	]);
+
+/**
+ * Find a comment on a task and make sure the caller wrote it
+ * (with allowModerator, "task:write:all" may act on any comment)
+ */
+const findOwnComment = async (
+	task,
+	commentId,
+	user,
+	allowModerator = false
+) => {
+	const comment = task.comments.id(commentId);
+	if (!comment) {
+		throw new AppError("Comment not found", 404);
+	}
+
+	const isAuthor = comment.user.toString() === user._id.toString();
+	if (
+		!isAuthor &&
+		!(allowModerator && (await hasPermission(user, "task:write:all")))
+	) {
+		throw new AppError("Only the comment author can do this", 403);
+	}
+
+	return comment;
+};
+
+/**
+ * @route   GET /api/tasks/:id/comments
+ * @desc    List comments on a task, oldest first
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/",
+	[
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: 100 })
+			.withMessage("limit must be between 1 and 100"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		const { page, limit } = parsePagination(req.query);
+
+		await populateComments(task);
+
+		const total = task.comments.length;
+		const start = (page - 1) * limit;
+
+		res.json({
+			success: true,
+			data: task.comments.slice(start, start + limit),
+			pagination: {
+				total,
+				limit,
+				page,
+				pages: Math.ceil(total / limit),
+				hasNextPage: start + limit < total,
+			},
+		});
+	})
+);
+
+/**
+ * @route   POST /api/tasks/:id/comments
+ * @desc    Add a comment to a task
+ * @access  Private (task viewers)
+ */
+router.post(
+	"/",
+	contentValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		await assertTaskProjectActive(task);
+		const mentions = await resolveMentions(req.body.content, task);
+
+		await task.addComment(req.user._id, req.body.content, mentions);
+		const comment = task.comments[task.comments.length - 1];
+		await recordAudit(req, "create", "task.comment", {
+			resourceId: task._id,
+			after: comment,
+			metadata: { commentId: comment._id },
+		});
+		await populateComments(task);
+
+		res.status(201).json({
+			success: true,
+			data: task.comments[task.comments.length - 1],
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (comment author)
+ */
+router.put(
+	"/:commentId",
+	contentValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		await assertTaskProjectActive(task);
+		const comment = await findOwnComment(task, req.params.commentId, req.user);
+		const before = snapshot(comment);
+
+		const mentions = await resolveMentions(req.body.content, task);
+		await task.editComment(req.params.commentId, req.body.content, mentions);
+		await recordAudit(req, "update", "task.comment", {
+			resourceId: task._id,
+			before,
+			after: comment,
+			metadata: { commentId: comment._id },
+		});
+		await populateComments(task);
+
+		res.json({
+			success: true,
+			data: task.comments.id(req.params.commentId),
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (comment author or "task:write:all")
+ */
+router.delete(
+	"/:commentId",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		await assertTaskProjectActive(task);
+		const comment = await findOwnComment(
+			task,
+			req.params.commentId,
+			req.user,
+			true
+		);
+
+		await task.removeComment(req.params.commentId);
+		await recordAudit(req, "delete", "task.comment", {
+			resourceId: task._id,
+			before: comment,
+			metadata: { commentId: comment._id },
+		});
+
+		res.json({
+			success: true,
+			message: "Comment deleted successfully",
+		});
+	})
+);
+
+module.exports = router;
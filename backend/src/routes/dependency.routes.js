@@ -0,0 +1,171 @@
+/**
+ * DEPENDENCY ROUTES - "Blocks / blocked by" links of a task
+ *
+ * Mounted at /api/tasks/:id/dependencies
+ *
+ * Features:
+ * - Blocking and blocked tasks with the task's blocked state
+ * - Adding links in either direction with cycle detection
+ * - Removing links
+ */
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Task = require("../models/task.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	buildVisibilityFilter,
+	findTaskWithAccess,
+} = require("../utils/task-access.util");
+const {
+	assertValidBlockers,
+	annotateBlocked,
+} = require("../utils/task-dependency.util");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router({ mergeParams: true });
+
+const LINK_FIELDS = "title status priority assignedTo dueDate blockedBy";
+
+/**
+ * Blocking and blocked tasks of `task` that the user can see
+ */
+const loadDependencies = async (task, user) => {
+	const visibility = await buildVisibilityFilter(user);
+	const [blockedBy, blocks] = await Promise.all([
+		Task.find({ $and: [visibility, { _id: { $in: task.blockedBy } }] }).select(
+			LINK_FIELDS
+		),
+		Task.find({ $and: [visibility, { blockedBy: task._id }] }).select(
+			LINK_FIELDS
+		),
+	]);
+	const [self] = await annotateBlocked([task]);
+
+	return {
+		blocked: self.blocked,
+		openBlockers: self.openBlockers,
+		blockedBy: await annotateBlocked(blockedBy),
+		blocks: await annotateBlocked(blocks),
+	};
+};
+
+/**
+ * @route   GET /api/tasks/:id/dependencies
+ * @desc    Get blocking (blockedBy) and blocked (blocks) tasks and
+ *          whether the task is currently blocked
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		res.json({
+			success: true,
+			data: await loadDependencies(task, req.user),
+		});
+	})
+);
+
+/**
+ * @route   POST /api/tasks/:id/dependencies
+ * @desc    Link another task; type "blocked-by" (default) means `taskId`
+ *          blocks this task, "blocks" means this task blocks `taskId`
+ * @access  Private (editors of the blocked task, viewers of the other)
+ */
+router.post(
+	"/",
+	[
+		body("taskId").isMongoId().withMessage("Valid task ID is required"),
+		body("type")
+			.optional()
+			.isIn(["blocked-by", "blocks"])
+			.withMessage("type must be blocked-by or blocks"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const blocksOther = req.body.type === "blocks";
+		const task = await findTaskWithAccess(
+			req.params.id,
+			req.user,
+			blocksOther ? "view" : "edit"
+		);
+		const dependent = blocksOther
+			? await findTaskWithAccess(req.body.taskId, req.user, "edit")
+			: task;
+		const blockerId = blocksOther ? task._id : req.body.taskId;
+
+		if (dependent.blockedBy.some((id) => id.equals(blockerId))) {
+			throw new AppError("These tasks are already linked", 409);
+		}
+
+		await assertValidBlockers(req.user, dependent, [blockerId]);
+
+		dependent.blockedBy.push(blockerId);
+		await dependent.save();
+		await recordAudit(req, "link", "task.dependency", {
+			resourceId: dependent._id,
+			metadata: { blockedBy: blockerId },
+		});
+
+		res.status(201).json({
+			success: true,
+			data: await loadDependencies(task, req.user),
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/dependencies/:taskId
+ * @desc    Remove the link between two tasks, in whichever direction
+ * @access  Private (editors of the blocked task)
+ */
+router.delete(
+	"/:taskId",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		let dependent;
+		let blockerId;
+		if (task.blockedBy.some((id) => id.equals(req.params.taskId))) {
+			dependent = await findTaskWithAccess(task._id, req.user, "edit");
+			blockerId = req.params.taskId;
+		} else {
+			const other = await Task.findOne({
+				_id: req.params.taskId,
+				blockedBy: task._id,
+			}).select("_id");
+			if (!other) {
+				throw new AppError("Dependency not found", 404);
+			}
+			dependent = await findTaskWithAccess(other._id, req.user, "edit");
+			blockerId = task._id;
+		}
+
+		dependent.blockedBy.pull(blockerId);
+		await dependent.save();
+		await recordAudit(req, "unlink", "task.dependency", {
+			resourceId: dependent._id,
+			metadata: { blockedBy: blockerId },
+		});
+
+		res.json({
+			success: true,
+			data: await loadDependencies(
+				dependent._id.equals(task._id) ? dependent : task,
+				req.user
+			),
+		});
+	})
+);
+
+module.exports = router;
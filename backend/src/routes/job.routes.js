@@ -0,0 +1,76 @@
+/**
+ * JOB ROUTES - Inspect and trigger scheduled background jobs
+ *
+ * Features:
+ * - List jobs with their schedule, next run and last outcome
+ * - Run a job immediately
+ */
+
+const express = require("express");
+const { asyncHandler } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const { listJobs, getJob, runJob } = require("../services/scheduler.service");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router();
+
+router.use(requirePermission("job:manage"));
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List scheduled jobs and their state
+ * @access  Private ("job:manage")
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		res.json({
+			success: true,
+			data: await listJobs(),
+		});
+	})
+);
+
+/**
+ * @route   GET /api/jobs/:name
+ * @desc    Get a scheduled job and its state
+ * @access  Private ("job:manage")
+ */
+router.get(
+	"/:name",
+	asyncHandler(async (req, res) => {
+		res.json({
+			success: true,
+			data: await getJob(req.params.name),
+		});
+	})
+);
+
+/**
+ * @route   POST /api/jobs/:name/run
+ * @desc    Run a job now and wait for it to finish (its schedule is
+ *          not changed). 409 JOB_RUNNING while another run is active.
+ * @access  Private ("job:manage")
+ */
+router.post(
+	"/:name/run",
+	asyncHandler(async (req, res) => {
+		const state = await runJob(req.params.name, {
+			triggeredBy: req.user._id,
+		});
+		await recordAudit(req, "run", "job", {
+			metadata: {
+				name: req.params.name,
+				status: state && state.status,
+				result: state && state.lastResult,
+			},
+		});
+
+		res.json({
+			success: true,
+			data: state,
+		});
+	})
+);
+
+module.exports = router;
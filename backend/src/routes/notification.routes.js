@@ -0,0 +1,146 @@
+/**
+ * NOTIFICATION ROUTES - The current user's notification center
+ *
+ * Features:
+ * - Paginated notification list, optionally unread only
+ * - Unread count for badges
+ * - Mark one or all notifications read
+ */
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const Notification = require("../models/notification.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the current user's notifications, newest first
+ * @query   unread, type, page, limit, cursor
+ * @access  Private
+ */
+router.get(
+	"/",
+	[
+		query("unread")
+			.optional()
+			.isIn(["true", "false"])
+			.withMessage("unread must be true or false"),
+		query("type")
+			.optional()
+			.isIn(Notification.NOTIFICATION_TYPES)
+			.withMessage(
+				`type must be one of: ${Notification.NOTIFICATION_TYPES.join(", ")}`
+			),
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const filter = { user: req.user._id };
+		if (req.query.unread === "true") filter.readAt = null;
+		if (req.query.unread === "false") filter.readAt = { $ne: null };
+		if (req.query.type) filter.type = req.query.type;
+
+		const { items, pagination } = await paginate(
+			Notification,
+			filter,
+			{
+				sort: parseSort(undefined, ["createdAt"]),
+				...parsePagination(req.query),
+			},
+			(notifications) =>
+				notifications.populate([
+					{ path: "actor", select: "firstName lastName avatar" },
+					{ path: "task", select: "title status dueDate" },
+				])
+		);
+
+		res.json({
+			success: true,
+			data: items,
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Number of unread notifications
+ * @access  Private
+ */
+router.get(
+	"/unread-count",
+	asyncHandler(async (req, res) => {
+		res.json({
+			success: true,
+			data: { count: await Notification.countUnread(req.user._id) },
+		});
+	})
+);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark every notification read
+ * @access  Private
+ */
+router.post(
+	"/read-all",
+	asyncHandler(async (req, res) => {
+		const result = await Notification.markAllRead(req.user._id);
+
+		res.json({
+			success: true,
+			data: { updated: result.modifiedCount },
+			message: "All notifications marked as read",
+		});
+	})
+);
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark a notification read
+ * @access  Private (recipient)
+ */
+router.post(
+	"/:id/read",
+	asyncHandler(async (req, res) => {
+		const notification = await Notification.findOne({
+			_id: req.params.id,
+			user: req.user._id,
+		});
+		if (!notification) {
+			throw new AppError("Notification not found", 404);
+		}
+
+		if (!notification.readAt) {
+			notification.readAt = new Date();
+			await notification.save();
+		}
+
+		res.json({
+			success: true,
+			data: notification,
+		});
+	})
+);
+
+module.exports = router;
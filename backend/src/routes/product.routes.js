@@ -1,12 +1,24 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Product = require("../models/product.model");
-const { asyncHandler } = require("../middleware/error.middleware");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	uploadProductImages,
+	storedPath,
+} = require("../middleware/upload.middleware");
+const {
+	resolveStoredPath,
+	removeStoredFiles,
+} = require("../utils/file-storage.util");
+const { recordAudit, snapshot } = require("../services/audit.service");
 
 const router = express.Router();
 
 // Get all products
 router.get(
 	"/",
+	requirePermission("product:read"),
 	asyncHandler(async (req, res) => {
 		const products = await Product.find({ isActive: true }).populate(
 			"createdBy",
@@ -23,6 +35,7 @@ router.get(
 // Get product by ID
 router.get(
 	"/:id",
+	requirePermission("product:read"),
 	asyncHandler(async (req, res) => {
 		const product = await Product.findById(req.params.id).populate(
 			"createdBy",
@@ -43,16 +56,22 @@ router.get(
 	})
 );
 
+// Client-writable product fields: images only change through the image
+// endpoints and the creator is fixed
+const productFields = ({ images, createdBy, ...fields }) => fields;
+
 // Create new product
 router.post(
 	"/",
+	requirePermission("product:write"),
 	asyncHandler(async (req, res) => {
 		const product = new Product({
-			...req.body,
+			...productFields(req.body),
 			createdBy: req.user._id,
-		});
+		}).setActor(req.user._id);
 
 		await product.save();
+		await recordAudit(req, "create", "product", { after: product });
 
 		const populatedProduct = await Product.findById(product._id).populate(
 			"createdBy",
@@ -69,11 +88,9 @@ router.post(
 // Update product
 router.put(
 	"/:id",
+	requirePermission("product:write"),
 	asyncHandler(async (req, res) => {
-		const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-			new: true,
-			runValidators: true,
-		}).populate("createdBy", "firstName lastName");
+		const product = await Product.findById(req.params.id);
 
 		if (!product) {
 			return res.status(404).json({
@@ -82,6 +99,13 @@ router.put(
 			});
 		}
 
+		const before = snapshot(product);
+		product.set(productFields(req.body));
+		await product.setActor(req.user._id).save();
+		await recordAudit(req, "update", "product", { before, after: product });
+
+		await product.populate("createdBy", "firstName lastName");
+
 		res.json({
 			success: true,
 			data: product,
@@ -92,8 +116,9 @@ router.put(
 // Delete product
 router.delete(
 	"/:id",
+	requirePermission("product:delete"),
 	asyncHandler(async (req, res) => {
-		const product = await Product.findByIdAndDelete(req.params.id);
+		const product = await Product.findById(req.params.id);
 
 		if (!product) {
 			return res.status(404).json({
@@ -102,6 +127,11 @@ router.delete(
 			});
 		}
 
+		await product.setActor(req.user._id).deleteOne();
+
+		await removeStoredFiles(product.images.map((img) => img.path));
+		await recordAudit(req, "delete", "product", { before: product });
+
 		res.json({
 			success: true,
 			message: "Product deleted successfully",
@@ -109,4 +139,107 @@ router.delete(
 	})
 );
 
+/**
+ * Load a product or throw a 404 AppError; `actor` is recorded for the
+ * events of the next save
+ */
+const findProduct = async (productId, actor) => {
+	const product = await Product.findById(productId);
+	if (!product) {
+		throw new AppError("Product not found", 404);
+	}
+	return product.setActor(actor);
+};
+
+// Upload product images (multipart field "images")
+router.post(
+	"/:id/images",
+	requirePermission("product:write"),
+	asyncHandler(async (req, res, next) => {
+		req.product = await findProduct(req.params.id, req.user._id);
+		next();
+	}),
+	uploadProductImages,
+	asyncHandler(async (req, res) => {
+		const { product } = req;
+		const images = req.files.map((file, index) => {
+			const _id = new mongoose.Types.ObjectId();
+			return {
+				_id,
+				url: `/api/products/${product._id}/images/${_id}`,
+				alt: req.body.alt || product.name,
+				isPrimary: req.body.isPrimary === "true" && index === 0,
+				order: product.images.length + index,
+				filename: file.filename,
+				path: storedPath(file),
+				size: file.size,
+				mimeType: file.mimetype,
+				uploadedBy: req.user._id,
+			};
+		});
+
+		try {
+			for (const image of images) {
+				await product.addImage(image);
+			}
+		} catch (error) {
+			await removeStoredFiles(images.map((img) => img.path));
+			throw error;
+		}
+
+		await recordAudit(req, "create", "product.image", {
+			resourceId: product._id,
+			metadata: { imageIds: images.map((img) => img._id) },
+		});
+
+		res.status(201).json({
+			success: true,
+			data: product.images,
+		});
+	})
+);
+
+// Download product image
+router.get(
+	"/:id/images/:imageId",
+	requirePermission("product:read"),
+	asyncHandler(async (req, res) => {
+		const product = await Product.findById(req.params.id);
+		const image = product && product.images.id(req.params.imageId);
+
+		if (!image || !image.path) {
+			throw new AppError("Image not found", 404);
+		}
+
+		res.sendFile(resolveStoredPath(image.path));
+	})
+);
+
+// Delete product image
+router.delete(
+	"/:id/images/:imageId",
+	requirePermission("product:write"),
+	asyncHandler(async (req, res) => {
+		const product = await findProduct(req.params.id, req.user._id);
+		const image = product.images.id(req.params.imageId);
+
+		if (!image) {
+			throw new AppError("Image not found", 404);
+		}
+
+		await product.removeImage(req.params.imageId);
+		await removeStoredFiles([image.path]);
+		await recordAudit(req, "delete", "product.image", {
+			resourceId: product._id,
+			before: image,
+			metadata: { imageId: image._id },
+		});
+
+		res.json({
+			success: true,
+			message: "Image deleted successfully",
+		});
+	})
+);
+
 module.exports = router;
@@ -0,0 +1,229 @@
+/**
+ * PROJECT MEMBER ROUTES - Members of a project and their roles
+ *
+ * Mounted at /api/projects/:id/members
+ *
+ * Features:
+ * - Project admins add, re-role and remove members
+ * - Only owners grant, change or revoke the admin and owner roles
+ * - A project always keeps at least one owner
+ * - Members may leave a project themselves
+ */
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Project = require("../models/project.model");
+const User = require("../models/user.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	canManageAll,
+	findProjectWithAccess,
+	assertProjectActive,
+} = require("../utils/project-access.util");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router({ mergeParams: true });
+
+const PRIVILEGED_ROLES = ["admin", "owner"];
+
+const roleValidation = (field) =>
+	body(field)
+		.isIn(Project.PROJECT_ROLES)
+		.withMessage(`role must be one of: ${Project.PROJECT_ROLES.join(", ")}`);
+
+/**
+ * Throw a 403 AppError unless the user may grant or revoke `roles`
+ * (admin and owner need the owner role)
+ */
+const assertCanManageRoles = async (project, user, roles) => {
+	if (
+		roles.some((role) => PRIVILEGED_ROLES.includes(role)) &&
+		!project.hasRole(user._id, "owner") &&
+		!(await canManageAll(user))
+	) {
+		throw new AppError(
+			"Only project owners can grant or revoke the admin and owner roles",
+			403,
+			"PROJECT_ROLE_REQUIRED"
+		);
+	}
+};
+
+/**
+ * Throw a 409 AppError (code LAST_OWNER) if `member` is the only owner
+ */
+const assertNotLastOwner = (project, member) => {
+	const owners = project.members.filter((entry) => entry.role === "owner");
+	if (member.role === "owner" && owners.length === 1) {
+		throw new AppError("A project needs at least one owner", 409, "LAST_OWNER");
+	}
+};
+
+const findMember = (project, userId) => {
+	const member = project.getMember(userId);
+	if (!member) {
+		throw new AppError("Member not found", 404);
+	}
+	return member;
+};
+
+/**
+ * @route   GET /api/projects/:id/members
+ * @desc    List the members of a project with their roles
+ * @access  Private (project viewers)
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const project = await findProjectWithAccess(req.params.id, req.user);
+		await project.populate("members.user", "firstName lastName email");
+
+		res.json({
+			success: true,
+			data: project.members,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/projects/:id/members
+ * @desc    Add a user to a project (role defaults to member)
+ * @access  Private (project admins; owners for admin and owner)
+ */
+router.post(
+	"/",
+	[
+		body("userId").isMongoId().withMessage("Valid user ID is required"),
+		roleValidation("role").optional(),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"admin"
+		);
+		assertProjectActive(project);
+
+		const role = req.body.role || "member";
+		await assertCanManageRoles(project, req.user, [role]);
+
+		const user = await User.findOne({ _id: req.body.userId, isActive: true });
+		if (!user) {
+			throw new AppError("User not found", 404);
+		}
+		if (project.getMember(user._id)) {
+			throw new AppError(
+				"User is already a member of this project",
+				409,
+				"ALREADY_MEMBER"
+			);
+		}
+
+		project.members.push({ user: user._id, role });
+		await project.save();
+		await recordAudit(req, "add_member", "project", {
+			resourceId: project._id,
+			metadata: { user: user._id, role },
+		});
+
+		res.status(201).json({
+			success: true,
+			data: project.getMember(user._id),
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/projects/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (project admins; owners for admin and owner)
+ */
+router.put(
+	"/:userId",
+	roleValidation("role"),
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"admin"
+		);
+		assertProjectActive(project);
+
+		const member = findMember(project, req.params.userId);
+		const previousRole = member.role;
+		await assertCanManageRoles(project, req.user, [
+			previousRole,
+			req.body.role,
+		]);
+		if (req.body.role !== "owner") assertNotLastOwner(project, member);
+
+		member.role = req.body.role;
+		await project.save();
+		await recordAudit(req, "change_member_role", "project", {
+			resourceId: project._id,
+			metadata: { user: member.user, from: previousRole, to: member.role },
+		});
+
+		res.json({
+			success: true,
+			data: member,
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/projects/:id/members/:userId
+ * @desc    Remove a member from a project, or leave it
+ * @access  Private (the member themselves, or project admins; owners for
+ *          admin and owner)
+ */
+router.delete(
+	"/:userId",
+	asyncHandler(async (req, res) => {
+		const leaving = req.params.userId === req.user._id.toString();
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			leaving ? "viewer" : "admin"
+		);
+		assertProjectActive(project);
+
+		const member = findMember(project, req.params.userId);
+		if (!leaving) {
+			await assertCanManageRoles(project, req.user, [member.role]);
+		}
+		assertNotLastOwner(project, member);
+
+		project.members.splice(project.members.indexOf(member), 1);
+		await project.save();
+		await recordAudit(req, "remove_member", "project", {
+			resourceId: project._id,
+			metadata: { user: member.user, role: member.role },
+		});
+
+		res.json({
+			success: true,
+			message: leaving ? "You left the project" : "Member removed successfully",
+		});
+	})
+);
+
+module.exports = router;
@@ -0,0 +1,511 @@
+/**
+ * PROJECT ROUTES - Projects, their settings and their tasks
+ *
+ * Features:
+ * - Users only see the projects they are members of
+ * - Custom task categories and statuses per project
+ * - Archiving (archived projects and their tasks are read-only)
+ * - Paginated task listing and dashboard statistics per project
+ */
+
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Project = require("../models/project.model");
+const Task = require("../models/task.model");
+const RecurringTask = require("../models/recurring-task.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const {
+	taskListValidation,
+	buildTaskFilter,
+	parseTaskSort,
+} = require("../utils/task-query.util");
+const { annotateBlocked } = require("../utils/task-dependency.util");
+const {
+	findProjectWithAccess,
+	assertProjectActive,
+	buildProjectFilter,
+} = require("../utils/project-access.util");
+const { recordAudit, snapshot } = require("../services/audit.service");
+const { getTaskStats } = require("../services/task-stats.service");
+const projectMemberRoutes = require("./project-member.routes");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "description"];
+
+const pick = (source, fields) =>
+	fields.reduce((result, field) => {
+		if (source[field] !== undefined) result[field] = source[field];
+		return result;
+	}, {});
+
+// Project with the current user's role in it
+const withRole = (project, user) => ({
+	...project.toJSON(),
+	role: project.roleOf(user._id),
+});
+
+const projectValidation = (optional = false) => {
+	const required = (chain) => (optional ? chain.optional() : chain);
+	return [
+		required(body("name"))
+			.trim()
+			.notEmpty()
+			.withMessage("Project name is required")
+			.isLength({ max: 100 })
+			.withMessage("Project name cannot exceed 100 characters"),
+		body("description")
+			.optional()
+			.isLength({ max: 1000 })
+			.withMessage("Project description cannot exceed 1000 characters"),
+	];
+};
+
+const settingsValidation = [
+	body("categories")
+		.optional()
+		.isArray()
+		.withMessage("categories must be an array"),
+	body("categories.*.key").isString().withMessage("Every category needs a key"),
+	body("categories.*.name")
+		.isString()
+		.withMessage("Every category needs a name"),
+	body("statuses")
+		.optional()
+		.isArray()
+		.withMessage("statuses must be an array"),
+	body("statuses.*.key").isString().withMessage("Every status needs a key"),
+	body("statuses.*.name").isString().withMessage("Every status needs a name"),
+	body("statuses.*.state")
+		.isIn(Project.STATUS_STATES)
+		.withMessage(
+			`Status state must be one of: ${Project.STATUS_STATES.join(", ")}`
+		),
+];
+
+/**
+ * Throw a 409 AppError (code SETTING_IN_USE) if new settings would drop
+ * categories or statuses that tasks (or active recurring tasks) of the
+ * project still use, or change the lifecycle state of a status in use
+ */
+const assertSettingsUnused = async (project, settings) => {
+	const inUse = [];
+
+	if (settings.categories) {
+		const keys = settings.categories.length
+			? settings.categories.map((category) => String(category.key))
+			: Task.DEFAULT_CATEGORIES;
+		const filter = { project: project._id, category: { $nin: keys } };
+		const used = await Promise.all([
+			Task.distinct("category", filter),
+			RecurringTask.distinct("category", { ...filter, active: true }),
+		]);
+		[...new Set(used.flat())].forEach((key) => inUse.push(`category "${key}"`));
+	}
+
+	if (settings.statuses) {
+		const states = new Map(
+			settings.statuses.map((status) => [String(status.key), status.state])
+		);
+		const used = await Task.distinct("customStatus", {
+			project: project._id,
+			customStatus: { $ne: null },
+		});
+		used
+			.filter((key) => states.get(key) !== project.statusFor(key)?.state)
+			.forEach((key) => inUse.push(`status "${key}"`));
+	}
+
+	if (inUse.length) {
+		throw new AppError(
+			`Tasks of this project still use ${inUse.join(", ")}; move them first`,
+			409,
+			"SETTING_IN_USE"
+		);
+	}
+};
+
+/**
+ * @route   GET /api/projects
+ * @desc    List the projects the current user belongs to, with their role
+ * @query   archived (true, false or all; default false), sort, page,
+ *          limit, cursor
+ * @access  Private
+ */
+router.get(
+	"/",
+	[
+		query("archived")
+			.optional()
+			.isIn(["true", "false", "all"])
+			.withMessage("archived must be true, false or all"),
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const filter = await buildProjectFilter(req.user);
+		const archived = req.query.archived || "false";
+		if (archived !== "all") filter.isArchived = archived === "true";
+
+		const { items, pagination } = await paginate(Project, filter, {
+			sort: parseSort(req.query.sort, ["name", "createdAt", "updatedAt"]),
+			...parsePagination(req.query),
+		});
+
+		res.json({
+			success: true,
+			data: items.map((project) => withRole(project, req.user)),
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project; the creator becomes its owner
+ * @access  Private ("project:create")
+ */
+router.post(
+	"/",
+	requirePermission("project:create"),
+	projectValidation(),
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await Project.create({
+			...pick(req.body, EDITABLE_FIELDS),
+			settings: pick(req.body.settings || {}, ["categories", "statuses"]),
+			members: [{ user: req.user._id, role: "owner" }],
+			createdBy: req.user._id,
+		});
+		await recordAudit(req, "create", "project", { after: project });
+
+		res.status(201).json({
+			success: true,
+			data: withRole(project, req.user),
+		});
+	})
+);
+
+/**
+ * @route   GET /api/projects/:id
+ * @desc    Get a project with its members
+ * @access  Private (project viewers)
+ */
+router.get(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const project = await findProjectWithAccess(req.params.id, req.user);
+		await project.populate("members.user", "firstName lastName email");
+
+		res.json({
+			success: true,
+			data: withRole(project, req.user),
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/projects/:id
+ * @desc    Rename a project or change its description
+ * @access  Private (project admins)
+ */
+router.put(
+	"/:id",
+	projectValidation(true),
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"admin"
+		);
+		assertProjectActive(project);
+		const before = snapshot(project);
+
+		project.set(pick(req.body, EDITABLE_FIELDS));
+		await project.save();
+		await recordAudit(req, "update", "project", { before, after: project });
+
+		res.json({
+			success: true,
+			data: withRole(project, req.user),
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/projects/:id/settings
+ * @desc    Replace the project's custom task categories and/or statuses
+ *          (empty lists restore the defaults). Categories and statuses
+ *          still used by tasks cannot be removed.
+ * @access  Private (project admins)
+ */
+router.put(
+	"/:id/settings",
+	settingsValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"admin"
+		);
+		assertProjectActive(project);
+
+		const settings = pick(req.body, ["categories", "statuses"]);
+		await assertSettingsUnused(project, settings);
+
+		const before = snapshot(project);
+		Object.entries(settings).forEach(([field, value]) => {
+			project.settings[field] = value;
+		});
+		await project.save();
+		await recordAudit(req, "update_settings", "project", {
+			before,
+			after: project,
+		});
+
+		res.json({
+			success: true,
+			data: project.settings,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/projects/:id/archive
+ * @desc    Archive a project, making it and its tasks read-only
+ * @access  Private (project admins)
+ */
+router.post(
+	"/:id/archive",
+	asyncHandler(async (req, res) => {
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"admin"
+		);
+		assertProjectActive(project);
+
+		project.set({
+			isArchived: true,
+			archivedAt: new Date(),
+			archivedBy: req.user._id,
+		});
+		await project.save();
+		await recordAudit(req, "archive", "project", {
+			resourceId: project._id,
+		});
+
+		res.json({
+			success: true,
+			data: withRole(project, req.user),
+			message: "Project archived successfully",
+		});
+	})
+);
+
+/**
+ * @route   POST /api/projects/:id/unarchive
+ * @desc    Restore an archived project
+ * @access  Private (project admins)
+ */
+router.post(
+	"/:id/unarchive",
+	asyncHandler(async (req, res) => {
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"admin"
+		);
+		if (!project.isArchived) {
+			throw new AppError(
+				"Project is not archived",
+				409,
+				"PROJECT_NOT_ARCHIVED"
+			);
+		}
+
+		project.set({ isArchived: false, archivedAt: null, archivedBy: null });
+		await project.save();
+		await recordAudit(req, "unarchive", "project", {
+			resourceId: project._id,
+		});
+
+		res.json({
+			success: true,
+			data: withRole(project, req.user),
+			message: "Project restored successfully",
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete a project that has no tasks or active recurring tasks
+ *          left
+ * @access  Private (project owners)
+ */
+router.delete(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const project = await findProjectWithAccess(
+			req.params.id,
+			req.user,
+			"owner"
+		);
+
+		if (
+			(await Task.exists({ project: project._id })) ||
+			(await RecurringTask.exists({ project: project._id, active: true }))
+		) {
+			throw new AppError(
+				"Move or delete the project's tasks and recurring tasks before deleting it",
+				409,
+				"PROJECT_NOT_EMPTY"
+			);
+		}
+
+		await project.deleteOne();
+		await recordAudit(req, "delete", "project", { before: project });
+
+		res.json({
+			success: true,
+			message: "Project deleted successfully",
+		});
+	})
+);
+
+/**
+ * @route   GET /api/projects/:id/tasks
+ * @desc    List the project's tasks with the filters, sorting and
+ *          pagination of GET /api/tasks
+ * @access  Private (project viewers)
+ */
+router.get(
+	"/:id/tasks",
+	taskListValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await findProjectWithAccess(req.params.id, req.user);
+		const filter = buildTaskFilter(req.query, req.user, {
+			project: project._id,
+		});
+
+		const { items, pagination } = await paginate(
+			Task,
+			filter,
+			{
+				sort: parseTaskSort(req.query.sort),
+				...parsePagination(req.query),
+			},
+			(q) =>
+				q
+					.populate("assignedTo", "firstName lastName email")
+					.populate("createdBy", "firstName lastName email")
+		);
+
+		res.json({
+			success: true,
+			data: await annotateBlocked(items),
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/projects/:id/stats
+ * @desc    Dashboard statistics of the project's tasks (see
+ *          GET /api/tasks/stats)
+ * @query   weeks (trend length, default 12), and the filters of
+ *          GET /api/tasks
+ * @access  Private (project viewers)
+ */
+router.get(
+	"/:id/stats",
+	[
+		...taskListValidation,
+		query("weeks")
+			.optional()
+			.isInt({ min: 1, max: 52 })
+			.withMessage("weeks must be between 1 and 52"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const project = await findProjectWithAccess(req.params.id, req.user);
+		const filter = buildTaskFilter(req.query, req.user, {
+			project: project._id,
+		});
+
+		res.json({
+			success: true,
+			data: await getTaskStats(filter, {
+				weeks: req.query.weeks ? parseInt(req.query.weeks, 10) : undefined,
+			}),
+		});
+	})
+);
+
+// Members and their roles
+router.use("/:id/members", projectMemberRoutes);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * REALTIME ROUTES - Server-Sent Events stream of task and product changes
+ *
+ * Features:
+ * - Authenticated text/event-stream connection (access token header, or
+ *   a short-lived stream token in the URL for native EventSource)
+ * - Only events the caller may see, optionally limited to some types
+ * - Resume after a disconnect with the Last-Event-ID header
+ */
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { AppError } = require("../middleware/error.middleware");
+const {
+	authenticateToken,
+	authenticateStream,
+	enforceTwoFactor,
+} = require("../middleware/auth.middleware");
+const { signStreamToken } = require("../services/token.service");
+const {
+	STREAM_EVENT_TYPES,
+	USER_EVENT_TYPES,
+	MAX_CONNECTIONS_PER_USER,
+	connectionCount,
+	openStream,
+} = require("../services/realtime.service");
+
+const router = express.Router();
+
+const TYPES = [...STREAM_EVENT_TYPES, ...USER_EVENT_TYPES];
+
+/**
+ * @route   POST /api/events/token
+ * @desc    Get a one-minute token for opening a stream as
+ *          /stream?token=... (for clients that cannot send headers)
+ * @access  Private
+ */
+router.post("/token", authenticateToken, enforceTwoFactor, (req, res) => {
+	res.json({
+		success: true,
+		data: { token: signStreamToken(req.user), expiresIn: "1m" },
+	});
+});
+
+/**
+ * @route   GET /api/events/stream
+ * @desc    Stream task and product events as they happen
+ * @query   types (comma-separated event types), lastEventId, token
+ * @access  Private (access token header or stream token)
+ */
+router.get(
+	"/stream",
+	authenticateStream,
+	enforceTwoFactor,
+	[
+		query("types")
+			.optional()
+			.custom((value) =>
+				String(value)
+					.split(",")
+					.every((type) => TYPES.includes(type.trim()))
+			)
+			.withMessage(
+				`types must be a comma-separated list of: ${TYPES.join(", ")}`
+			),
+	],
+	(req, res, next) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		if (connectionCount(req.user) >= MAX_CONNECTIONS_PER_USER) {
+			return next(
+				new AppError("Too many open event streams", 429, "TOO_MANY_STREAMS")
+			);
+		}
+
+		openStream(req, res, {
+			user: req.user,
+			// EventSource sends Last-Event-ID on reconnect; the query
+			// parameter covers clients that reconnect by hand
+			lastEventId: req.get("Last-Event-ID") || req.query.lastEventId || null,
+			types: req.query.types
+				? String(req.query.types)
+						.split(",")
+						.map((type) => type.trim())
+				: null,
+		});
+	}
+);
+
+module.exports = router;
@@ -0,0 +1,315 @@
+/**
+ * RECURRING TASK ROUTES - Recurring task templates and their series
+ *
+ * Features:
+ * - Create a template with a recurrence rule (first occurrence is
+ *   generated right away)
+ * - List templates and a series' occurrences
+ * - Optional project for the series and its occurrences
+ * - Edit the template or rule (applies to future occurrences only)
+ * - End a series
+ */
+
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const RecurringTask = require("../models/recurring-task.model");
+const Task = require("../models/task.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	buildVisibilityFilter,
+	canViewTask,
+	canEditTask,
+	canDeleteTask,
+	assertCanUpdateTask,
+	assertTaskProjectActive,
+} = require("../utils/task-access.util");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const { assertCanUseProject } = require("../utils/project-access.util");
+const { FREQUENCIES, describeRule } = require("../utils/recurrence.util");
+const { recordAudit, snapshot } = require("../services/audit.service");
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+	"title",
+	"description",
+	"priority",
+	"category",
+	"tags",
+	"estimatedHours",
+	"assignedTo",
+	"isPublic",
+	"project",
+	"recurrence",
+	"startDate",
+];
+
+const ruleValidation = (optional = false) => {
+	const frequency = body("recurrence.frequency");
+	return [
+		(optional ? frequency.optional() : frequency)
+			.isIn(FREQUENCIES)
+			.withMessage(`frequency must be one of: ${FREQUENCIES.join(", ")}`),
+		body("recurrence.interval")
+			.optional()
+			.isInt({ min: 1, max: 365 })
+			.withMessage("interval must be between 1 and 365"),
+		body("recurrence.until")
+			.optional({ values: "null" })
+			.isISO8601()
+			.withMessage("Invalid until date"),
+		body("recurrence.count")
+			.optional({ values: "null" })
+			.isInt({ min: 1, max: 1000 })
+			.withMessage("count must be between 1 and 1000"),
+	];
+};
+
+const withSummary = (series) => ({
+	...series.toJSON(),
+	summary: describeRule(series.recurrence),
+});
+
+/**
+ * Load a recurring task and check the requested access level
+ * ("view", "edit" or "delete"), using the same rules as tasks
+ */
+const findSeriesWithAccess = async (id, user, access = "view") => {
+	const series = await RecurringTask.findById(id);
+	if (!series) {
+		throw new AppError("Recurring task not found", 404);
+	}
+
+	const checks = {
+		view: canViewTask,
+		edit: canEditTask,
+		delete: canDeleteTask,
+	};
+	if (!(await checks[access](user, series))) {
+		throw new AppError(
+			`You do not have permission to ${access} this recurring task`,
+			403
+		);
+	}
+
+	return series;
+};
+
+/**
+ * @route   GET /api/recurring-tasks
+ * @desc    List recurring tasks visible to the user
+ * @query   active, sort, page, limit, cursor
+ * @access  Private
+ */
+router.get(
+	"/",
+	[
+		query("active")
+			.optional()
+			.isIn(["true", "false"])
+			.withMessage("active must be true or false"),
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const filter = { $and: [await buildVisibilityFilter(req.user)] };
+		if (req.query.active) {
+			filter.$and.push({ active: req.query.active === "true" });
+		}
+
+		const { items, pagination } = await paginate(
+			RecurringTask,
+			filter,
+			{
+				sort: parseSort(req.query.sort, ["createdAt", "startDate", "title"]),
+				...parsePagination(req.query),
+			},
+			(q) => q.populate("assignedTo", "firstName lastName email")
+		);
+
+		res.json({
+			success: true,
+			data: items.map(withSummary),
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/recurring-tasks/:id
+ * @desc    Get a recurring task with its occurrences, newest first
+ * @access  Private (same visibility as tasks)
+ */
+router.get(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const series = await findSeriesWithAccess(req.params.id, req.user, "view");
+		await series.populate("assignedTo", "firstName lastName email");
+
+		const occurrences = await Task.find({
+			$and: [await buildVisibilityFilter(req.user), { series: series._id }],
+		})
+			.sort({ occurrence: -1 })
+			.select("title status dueDate completedAt occurrence skipped assignedTo");
+
+		res.json({
+			success: true,
+			data: { ...withSummary(series), occurrences },
+		});
+	})
+);
+
+/**
+ * @route   POST /api/recurring-tasks
+ * @desc    Create a recurring task; the first occurrence is due on
+ *          `startDate`
+ * @access  Private ("task:create")
+ */
+router.post(
+	"/",
+	requirePermission("task:create"),
+	[
+		body("startDate").isISO8601().withMessage("Valid start date is required"),
+		...ruleValidation(),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const fields = {};
+		EDITABLE_FIELDS.forEach((field) => {
+			if (req.body[field] !== undefined) fields[field] = req.body[field];
+		});
+
+		await assertCanUseProject(req.user, fields.project);
+
+		const series = new RecurringTask({ ...fields, createdBy: req.user._id });
+		await series.save();
+		let firstOccurrence;
+		try {
+			firstOccurrence = await series.createOccurrence(1, req.user._id);
+		} catch (error) {
+			// Don't leave a series behind whose first task was rejected
+			await series.deleteOne();
+			throw error;
+		}
+		await recordAudit(req, "create", "recurring_task", { after: series });
+
+		res.status(201).json({
+			success: true,
+			data: {
+				...withSummary(series),
+				occurrences: firstOccurrence ? [firstOccurrence] : [],
+			},
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/recurring-tasks/:id
+ * @desc    Update the template or rule; existing occurrences are not
+ *          changed
+ * @access  Private (same edit rules as tasks)
+ */
+router.put(
+	"/:id",
+	ruleValidation(true),
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const series = await findSeriesWithAccess(req.params.id, req.user, "edit");
+		await assertCanUpdateTask(req.user, series, req.body);
+		if (req.body.project === "") req.body.project = null;
+		if (
+			req.body.project !== undefined &&
+			String(req.body.project) !== String(series.project)
+		) {
+			await assertCanUseProject(req.user, req.body.project);
+		}
+
+		const before = snapshot(series);
+		EDITABLE_FIELDS.forEach((field) => {
+			if (req.body[field] === undefined) return;
+			if (field === "recurrence") {
+				series.set("recurrence", {
+					...series.toObject().recurrence,
+					...req.body.recurrence,
+				});
+			} else {
+				series.set(field, req.body[field]);
+			}
+		});
+		await series.save();
+		await recordAudit(req, "update", "recurring_task", {
+			before,
+			after: series,
+		});
+
+		res.json({
+			success: true,
+			data: withSummary(series),
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/recurring-tasks/:id
+ * @desc    End a series; generated tasks are kept
+ * @access  Private (same delete rules as tasks; not in archived projects)
+ */
+router.delete(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const series = await findSeriesWithAccess(
+			req.params.id,
+			req.user,
+			"delete"
+		);
+		await assertTaskProjectActive(series);
+
+		const before = snapshot(series);
+		await series.end();
+		await recordAudit(req, "end", "recurring_task", {
+			before,
+			after: series,
+		});
+
+		res.json({
+			success: true,
+			message: "Recurring task ended successfully",
+		});
+	})
+);
+
+module.exports = router;
@@ -0,0 +1,184 @@
+/**
+ * ROLE ROUTES - Manage roles and their permissions
+ *
+ * Features:
+ * - List known permissions
+ * - Create, edit and delete custom roles
+ * - Edit permissions of built-in roles (admin is fixed)
+ */
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Role = require("../models/role.model");
+const User = require("../models/user.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const { invalidateRoleCache } = require("../services/permission.service");
+const { recordAudit, snapshot } = require("../services/audit.service");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+router.use(requirePermission("role:manage"));
+
+const roleValidation = [
+	body("description")
+		.optional()
+		.isLength({ max: 200 })
+		.withMessage("Description cannot exceed 200 characters"),
+	body("permissions").isArray().withMessage("permissions must be an array"),
+	body("permissions.*")
+		.isIn(Object.keys(PERMISSIONS))
+		.withMessage("Unknown permission"),
+];
+
+const findRole = async (name) => {
+	const role = await Role.findByName(name);
+	if (!role) {
+		throw new AppError("Role not found", 404);
+	}
+	return role;
+};
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List every permission with its description
+ * @access  Private ("role:manage")
+ */
+router.get("/permissions", (req, res) => {
+	res.json({
+		success: true,
+		data: Object.entries(PERMISSIONS).map(([name, description]) => ({
+			name,
+			description,
+		})),
+	});
+});
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles with the number of users holding each
+ * @access  Private ("role:manage")
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const [roles, counts] = await Promise.all([
+			Role.find().sort({ isSystem: -1, name: 1 }),
+			User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+		]);
+
+		const userCounts = Object.fromEntries(
+			counts.map((entry) => [entry._id, entry.count])
+		);
+
+		res.json({
+			success: true,
+			data: roles.map((role) => ({
+				...role.toObject(),
+				userCount: userCounts[role.name] || 0,
+			})),
+		});
+	})
+);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private ("role:manage")
+ */
+router.post(
+	"/",
+	[
+		body("name").trim().notEmpty().withMessage("Role name is required"),
+		...roleValidation,
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const { name, description, permissions } = req.body;
+		const role = await Role.create({ name, description, permissions });
+		await recordAudit(req, "create", "role", { after: role });
+
+		res.status(201).json({
+			success: true,
+			data: role,
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/roles/:name
+ * @desc    Update a role's description and permissions
+ * @access  Private ("role:manage")
+ */
+router.put(
+	"/:name",
+	roleValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const role = await findRole(req.params.name);
+		if (role.name === "admin") {
+			throw new AppError("The admin role cannot be changed", 400);
+		}
+
+		const before = snapshot(role);
+		if (req.body.description !== undefined) {
+			role.description = req.body.description;
+		}
+		role.permissions = req.body.permissions;
+		await role.save();
+		invalidateRoleCache(role.name);
+		await recordAudit(req, "update", "role", { before, after: role });
+
+		res.json({
+			success: true,
+			data: role,
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role that no user holds
+ * @access  Private ("role:manage")
+ */
+router.delete(
+	"/:name",
+	asyncHandler(async (req, res) => {
+		const role = await findRole(req.params.name);
+		if (role.isSystem) {
+			throw new AppError("Built-in roles cannot be deleted", 400);
+		}
+
+		if (await User.exists({ role: role.name })) {
+			throw new AppError("Role is still assigned to users", 400);
+		}
+
+		await role.deleteOne();
+		invalidateRoleCache(role.name);
+		await recordAudit(req, "delete", "role", { before: role });
+
+		res.json({
+			success: true,
+			message: "Role deleted successfully",
+		});
+	})
+);
+
+module.exports = router;
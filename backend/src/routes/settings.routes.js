@@ -1,6 +1,17 @@
 const express = require("express");
+const { body, validationResult } = require("express-validator");
 const User = require("../models/user.model");
+const SystemSetting = require("../models/system-setting.model");
+const Role = require("../models/role.model");
+const { requirePermission } = require("../middleware/auth.middleware");
 const { asyncHandler } = require("../middleware/error.middleware");
+const {
+	issueTokens,
+	revokeAllSessions,
+	requestMeta,
+} = require("../services/token.service");
+const { sendTemplate } = require("../services/mail.service");
+const { recordAudit, snapshot } = require("../services/audit.service");
 
 const router = express.Router();
 
@@ -27,6 +38,12 @@ router.put(
 			{ new: true, runValidators: true }
 		).select("preferences");
 
+		await recordAudit(req, "update", "settings", {
+			resourceId: req.user._id,
+			before: { preferences: snapshot(req.user).preferences },
+			after: { preferences: user.preferences },
+		});
+
 		res.json({
 			success: true,
 			data: user.preferences,
@@ -46,6 +63,12 @@ router.put(
 			{ new: true, runValidators: true }
 		).select("-password");
 
+		await recordAudit(req, "update", "user", {
+			before: req.user,
+			after: user,
+			metadata: { via: "profile" },
+		});
+
 		res.json({
 			success: true,
 			data: user,
@@ -70,13 +93,86 @@ router.put(
 			});
 		}
 
-		// Update password
+		// Update password, end every session and start a fresh one
 		user.password = newPassword;
 		await user.save();
+		await revokeAllSessions(user._id, "password-change");
+		await sendTemplate("passwordChanged", user.email, { user });
+		await recordAudit(req, "password_change", "user", {
+			resourceId: user._id,
+		});
+
+		const { token, refreshToken, expiresIn } = await issueTokens(
+			await User.findById(user._id),
+			requestMeta(req)
+		);
 
 		res.json({
 			success: true,
 			message: "Password updated successfully",
+			data: {
+				token,
+				refreshToken,
+				expiresIn,
+			},
+		});
+	})
+);
+
+// Get security policy
+router.get(
+	"/security",
+	requirePermission("settings:manage"),
+	asyncHandler(async (req, res) => {
+		const settings = await SystemSetting.getSettings({ fresh: true });
+
+		res.json({
+			success: true,
+			data: settings.security,
+		});
+	})
+);
+
+// Update security policy
+router.put(
+	"/security",
+	requirePermission("settings:manage"),
+	[
+		body("requireTwoFactorRoles")
+			.isArray()
+			.withMessage("requireTwoFactorRoles must be an array"),
+		body("requireTwoFactorRoles.*").custom(async (name) => {
+			if (!(await Role.findByName(name))) {
+				throw new Error(`Role "${name}" does not exist`);
+			}
+			return true;
+		}),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const previous = snapshot(await SystemSetting.getSettings({ fresh: true }));
+		const settings = await SystemSetting.updateSettings(
+			{ "security.requireTwoFactorRoles": req.body.requireTwoFactorRoles },
+			req.user._id
+		);
+
+		await recordAudit(req, "update", "settings", {
+			resourceId: settings._id,
+			before: { security: previous.security },
+			after: { security: settings.security },
+		});
+
+		res.json({
+			success: true,
+			data: settings.security,
 		});
 	})
 );
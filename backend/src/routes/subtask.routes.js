@@ -0,0 +1,153 @@
+/**
+ * SUBTASK ROUTES - Parent/child task hierarchy
+ *
+ * Mounted at /api/tasks/:id/subtasks
+ *
+ * Features:
+ * - Create subtasks (assignee, due date, category and visibility default
+ *   to the parent's; blockers are checked as for top-level tasks)
+ * - Ordered listing and reordering of direct subtasks
+ * - Full subtask tree of a task
+ */
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Task = require("../models/task.model");
+const { asyncHandler } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	buildVisibilityFilter,
+	findTaskWithAccess,
+} = require("../utils/task-access.util");
+const {
+	nextSubtaskPosition,
+	reorderSubtasks,
+	buildTaskTree,
+} = require("../utils/task-hierarchy.util");
+const { assertValidNewTask } = require("../utils/task-dependency.util");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route   GET /api/tasks/:id/subtasks
+ * @desc    List the direct subtasks of a task in order
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		const subtasks = await Task.findSubtasks(
+			task._id,
+			await buildVisibilityFilter(req.user)
+		).populate("assignedTo", "firstName lastName email");
+
+		res.json({
+			success: true,
+			data: subtasks,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/tasks/:id/subtasks/tree
+ * @desc    Get a task with all visible subtasks nested under `subtasks`
+ * @access  Private (task viewers)
+ */
+router.get(
+	"/tree",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+		await task.populate("assignedTo", "firstName lastName email");
+
+		res.json({
+			success: true,
+			data: await buildTaskTree(task, await buildVisibilityFilter(req.user)),
+		});
+	})
+);
+
+/**
+ * @route   POST /api/tasks/:id/subtasks
+ * @desc    Create a subtask at the end of the list
+ * @access  Private (parent task editors with "task:create")
+ */
+router.post(
+	"/",
+	requirePermission("task:create"),
+	asyncHandler(async (req, res) => {
+		const parent = await findTaskWithAccess(req.params.id, req.user, "edit");
+
+		const subtask = new Task({
+			assignedTo: parent.assignedTo,
+			dueDate: parent.dueDate,
+			category: parent.category,
+			isPublic: parent.isPublic,
+			...Task.pickWritable(req.body),
+			project: parent.project,
+			parent: parent._id,
+			position: await nextSubtaskPosition(parent._id),
+			createdBy: req.user._id,
+		});
+		await assertValidNewTask(req.user, subtask);
+
+		await subtask.setActor(req.user._id).save();
+		await recordAudit(req, "create", "task", {
+			after: subtask,
+			metadata: { parent: parent._id },
+		});
+
+		await subtask.populate([
+			{ path: "assignedTo", select: "firstName lastName email" },
+			{ path: "createdBy", select: "firstName lastName email" },
+		]);
+
+		res.status(201).json({
+			success: true,
+			data: subtask,
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/tasks/:id/subtasks/order
+ * @desc    Reorder subtasks; `order` lists every subtask ID once
+ * @access  Private (task editors)
+ */
+router.put(
+	"/order",
+	[
+		body("order").isArray({ min: 1 }).withMessage("order must be an array"),
+		body("order.*").isMongoId().withMessage("Invalid subtask ID"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
+
+		await reorderSubtasks(task._id, req.body.order);
+		await recordAudit(req, "reorder", "task.subtask", {
+			resourceId: task._id,
+			metadata: { order: req.body.order },
+		});
+
+		res.json({
+			success: true,
+			data: await Task.findSubtasks(task._id).populate(
+				"assignedTo",
+				"firstName lastName email"
+			),
+		});
+	})
+);
+
+module.exports = router;
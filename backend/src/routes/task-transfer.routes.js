@@ -0,0 +1,167 @@
+/**
+ * TASK TRANSFER ROUTES - Export and import tasks
+ *
+ * Mounted inside /api/tasks (before /:id)
+ *
+ * Features:
+ * - GET /export streams CSV, JSON or NDJSON for any filtered set
+ * - POST /import reads a CSV upload with optional column mapping and
+ *   dry-run preview
+ */
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const Task = require("../models/task.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const { uploadCsv } = require("../middleware/upload.middleware");
+const {
+	taskListValidation,
+	buildTaskFilter,
+	parseTaskSort,
+} = require("../utils/task-query.util");
+const { buildVisibilityFilter } = require("../utils/task-access.util");
+const {
+	EXPORT_FORMATS,
+	PREVIEW_ROWS,
+	streamExport,
+	prepareImport,
+	importPrepared,
+} = require("../services/task-transfer.service");
+const { recordAudit } = require("../services/audit.service");
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/tasks/export
+ * @desc    Stream the visible tasks matching the list filters
+ * @query   format (csv, json, ndjson; default csv), sort, and the filters
+ *          of GET /api/tasks
+ * @access  Private
+ */
+router.get(
+	"/export",
+	[
+		query("format")
+			.optional()
+			.isIn(Object.keys(EXPORT_FORMATS))
+			.withMessage("format must be csv, json or ndjson"),
+		...taskListValidation,
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const format = req.query.format || "csv";
+		const filter = buildTaskFilter(
+			req.query,
+			req.user,
+			await buildVisibilityFilter(req.user)
+		);
+		const sort = parseTaskSort(req.query.sort);
+
+		const cursor = Task.find(filter)
+			.sort(sort)
+			.populate("assignedTo", "email")
+			.populate("createdBy", "email")
+			.cursor();
+
+		const date = new Date().toISOString().slice(0, 10);
+		res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+		res.setHeader(
+			"Content-Disposition",
+			`attachment; filename="tasks-${date}.${format}"`
+		);
+
+		await streamExport(res, cursor, format);
+	})
+);
+
+/**
+ * @route   POST /api/tasks/import
+ * @desc    Import tasks from a CSV upload (multipart field "file").
+ *          `mapping` (JSON { field: column }) maps CSV columns to task
+ *          fields; `dryRun=true` validates without saving. Valid rows are
+ *          imported, invalid rows are reported with their errors.
+ * @access  Private ("task:create")
+ */
+router.post(
+	"/import",
+	requirePermission("task:create"),
+	uploadCsv,
+	asyncHandler(async (req, res) => {
+		if (!req.file) {
+			throw new AppError("No CSV file uploaded", 400);
+		}
+
+		let mapping = {};
+		if (req.body.mapping) {
+			try {
+				mapping = JSON.parse(req.body.mapping);
+			} catch (error) {
+				throw new AppError("mapping must be a JSON object", 400);
+			}
+			if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+				throw new AppError("mapping must be a JSON object", 400);
+			}
+		}
+		const dryRun = req.body.dryRun === "true" || req.query.dryRun === "true";
+
+		const prepared = await prepareImport(
+			req.file.buffer.toString("utf8"),
+			req.user,
+			mapping
+		);
+		const invalid = prepared.filter((entry) => entry.errors);
+		const valid = prepared.filter((entry) => entry.task);
+
+		if (dryRun) {
+			return res.json({
+				success: true,
+				data: {
+					dryRun: true,
+					total: prepared.length,
+					valid: valid.length,
+					invalid: invalid.length,
+					preview: valid
+						.slice(0, PREVIEW_ROWS)
+						.map((entry) => ({ row: entry.row, task: entry.task })),
+					errors: invalid,
+				},
+			});
+		}
+
+		const { imported, failed } = await importPrepared(prepared, req.user);
+		await recordAudit(req, "import", "task", {
+			metadata: {
+				filename: req.file.originalname,
+				imported: imported.length,
+				failed: invalid.length + failed.length,
+				taskIds: imported.map((entry) => entry.task._id),
+			},
+		});
+
+		res.status(imported.length ? 201 : 200).json({
+			success: true,
+			data: {
+				dryRun: false,
+				total: prepared.length,
+				imported: imported.length,
+				invalid: invalid.length + failed.length,
+				tasks: imported.map((entry) => ({
+					row: entry.row,
+					id: entry.task._id,
+				})),
+				errors: [...invalid, ...failed].sort((a, b) => a.row - b.row),
+			},
+		});
+	})
+);
+
+module.exports = router;
@@ -1,42 +1,300 @@
 const express = require("express");
+const { body, query, validationResult } = require("express-validator");
 const Task = require("../models/task.model");
-const { asyncHandler } = require("../middleware/error.middleware");
+const User = require("../models/user.model");
+const Project = require("../models/project.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	parsePagination,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const {
+	toList,
+	taskListValidation,
+	buildTaskFilter,
+	parseTaskSort,
+} = require("../utils/task-query.util");
+const {
+	buildVisibilityFilter,
+	assertCanUpdateTask,
+	findTaskWithAccess,
+} = require("../utils/task-access.util");
+const {
+	assertValidParent,
+	assertCanComplete,
+	nextSubtaskPosition,
+} = require("../utils/task-hierarchy.util");
+const {
+	MAX_GRAPH_NODES,
+	assertValidBlockers,
+	assertNotBlocked,
+	assertValidNewTask,
+	annotateBlocked,
+	buildDependencyGraph,
+} = require("../utils/task-dependency.util");
+const { assertCanUseProject } = require("../utils/project-access.util");
+const { removeStoredFiles } = require("../utils/file-storage.util");
+const { recordAudit, snapshot } = require("../services/audit.service");
+const { getTaskStats } = require("../services/task-stats.service");
+const {
+	BULK_OPERATIONS,
+	MAX_BULK_TASKS,
+	runBulkOperation,
+} = require("../services/task-bulk.service");
+const commentRoutes = require("./comment.routes");
+const attachmentRoutes = require("./attachment.routes");
+const activityRoutes = require("./activity.routes");
+const taskTransferRoutes = require("./task-transfer.routes");
+const subtaskRoutes = require("./subtask.routes");
+const checklistRoutes = require("./checklist.routes");
+const dependencyRoutes = require("./dependency.routes");
 
 const router = express.Router();
 
-// Get all tasks
+/**
+ * @route   GET /api/tasks
+ * @desc    List tasks with filters, sorting and page or cursor pagination
+ * @query   status, customStatus, priority, category, tags, tagMatch,
+ *          assignedTo, createdBy, project, parent, dueFrom, dueTo, overdue,
+ *          search, sort, page, limit, cursor
+ * @access  Private
+ */
 router.get(
 	"/",
+	taskListValidation,
 	asyncHandler(async (req, res) => {
-		const tasks = await Task.find()
-			.populate("assignedTo", "firstName lastName email")
-			.populate("createdBy", "firstName lastName email");
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const filter = buildTaskFilter(
+			req.query,
+			req.user,
+			await buildVisibilityFilter(req.user)
+		);
+		const sort = parseTaskSort(req.query.sort);
+
+		const { items, pagination } = await paginate(
+			Task,
+			filter,
+			{ sort, ...parsePagination(req.query) },
+			(q) =>
+				q
+					.populate("assignedTo", "firstName lastName email")
+					.populate("createdBy", "firstName lastName email")
+		);
 
 		res.json({
 			success: true,
-			data: tasks,
+			data: await annotateBlocked(items),
+			pagination,
 		});
 	})
 );
 
-// Get task by ID
+// CSV/JSON export and CSV import
+router.use(taskTransferRoutes);
+
+/**
+ * @route   GET /api/tasks/stats
+ * @desc    Dashboard statistics for the visible tasks matching the list
+ *          filters: counts, overdue, completion rate, average cycle time
+ *          and a weekly created-vs-completed trend
+ * @query   weeks (trend length, default 12), and the filters of
+ *          GET /api/tasks
+ * @access  Private
+ */
 router.get(
-	"/:id",
+	"/stats",
+	[
+		...taskListValidation,
+		query("weeks")
+			.optional()
+			.isInt({ min: 1, max: 52 })
+			.withMessage("weeks must be between 1 and 52"),
+	],
 	asyncHandler(async (req, res) => {
-		const task = await Task.findById(req.params.id)
-			.populate("assignedTo", "firstName lastName email")
-			.populate("createdBy", "firstName lastName email");
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const filter = buildTaskFilter(
+			req.query,
+			req.user,
+			await buildVisibilityFilter(req.user)
+		);
 
-		if (!task) {
-			return res.status(404).json({
+		res.json({
+			success: true,
+			data: await getTaskStats(filter, {
+				weeks: req.query.weeks ? parseInt(req.query.weeks, 10) : undefined,
+			}),
+		});
+	})
+);
+
+/**
+ * @route   GET /api/tasks/dependency-graph
+ * @desc    Dependency graph (nodes and blocker -> blocked edges) for the
+ *          tasks given by `ids` or by the list filters; `expand=true`
+ *          follows links to tasks outside the set
+ * @query   ids, expand, and the filters of GET /api/tasks
+ * @access  Private
+ */
+router.get(
+	"/dependency-graph",
+	[
+		...taskListValidation,
+		query("ids")
+			.optional()
+			.custom((value) => toList(value).every((id) => /^[a-f\d]{24}$/i.test(id)))
+			.withMessage("ids must be comma-separated task IDs"),
+		query("expand")
+			.optional()
+			.isIn(["true", "false"])
+			.withMessage("expand must be true or false"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
 				success: false,
-				message: "Task not found",
+				message: "Validation failed",
+				errors: errors.array(),
 			});
 		}
 
+		const visibility = await buildVisibilityFilter(req.user);
+		const filter = buildTaskFilter(req.query, req.user, visibility);
+		if (req.query.ids) {
+			filter._id = { $in: toList(req.query.ids) };
+		}
+
+		const tasks = await Task.find(filter)
+			.limit(MAX_GRAPH_NODES)
+			.select("title status priority assignedTo dueDate blockedBy");
+
 		res.json({
 			success: true,
-			data: task,
+			data: await buildDependencyGraph(
+				tasks,
+				visibility,
+				req.query.expand === "true"
+			),
+		});
+	})
+);
+
+/**
+ * @route   GET /api/tasks/mentions
+ * @desc    List comments that mention the current user, newest first
+ * @access  Private
+ */
+router.get(
+	"/mentions",
+	[
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const { page, limit } = parsePagination(req.query);
+		const visibility = await buildVisibilityFilter(req.user);
+
+		const [result] = await Task.aggregate([
+			{ $match: { ...visibility, "comments.mentions": req.user._id } },
+			{ $unwind: "$comments" },
+			{ $match: { "comments.mentions": req.user._id } },
+			{ $sort: { "comments.createdAt": -1 } },
+			{
+				$facet: {
+					items: [
+						{ $skip: (page - 1) * limit },
+						{ $limit: limit },
+						{
+							$project: {
+								_id: 0,
+								task: { _id: "$_id", title: "$title", status: "$status" },
+								comment: "$comments",
+							},
+						},
+					],
+					total: [{ $count: "count" }],
+				},
+			},
+		]);
+
+		const total = result.total[0] ? result.total[0].count : 0;
+
+		res.json({
+			success: true,
+			data: result.items,
+			pagination: {
+				total,
+				limit,
+				page,
+				pages: Math.ceil(total / limit),
+				hasNextPage: page * limit < total,
+			},
+		});
+	})
+);
+
+// Comment threads
+router.use("/:id/comments", commentRoutes);
+
+// File attachments
+router.use("/:id/attachments", attachmentRoutes);
+
+// Change history and status timeline
+router.use("/:id/activity", activityRoutes);
+
+// Subtasks and checklist items
+router.use("/:id/subtasks", subtaskRoutes);
+router.use("/:id/checklist", checklistRoutes);
+
+// Blocks / blocked-by links
+router.use("/:id/dependencies", dependencyRoutes);
+
+// Get task by ID
+router.get(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "view");
+
+		await task.populate([
+			{ path: "assignedTo", select: "firstName lastName email" },
+			{ path: "createdBy", select: "firstName lastName email" },
+		]);
+
+		const [data] = await annotateBlocked([task]);
+
+		res.json({
+			success: true,
+			data,
 		});
 	})
 );
@@ -44,13 +302,24 @@ router.get(
 // Create new task
 router.post(
 	"/",
+	requirePermission("task:create"),
 	asyncHandler(async (req, res) => {
+		await assertCanUseProject(req.user, req.body.project);
+
 		const task = new Task({
-			...req.body,
+			...Task.pickWritable(req.body),
 			createdBy: req.user._id,
 		});
 
-		await task.save();
+		if (task.parent) {
+			await assertValidParent(req.user, task, task.parent);
+			task.position = await nextSubtaskPosition(task.parent);
+		}
+
+		await assertValidNewTask(req.user, task);
+
+		await task.setActor(req.user._id).save();
+		await recordAudit(req, "create", "task", { after: task });
 
 		const populatedTask = await Task.findById(task._id)
 			.populate("assignedTo", "firstName lastName email")
@@ -63,24 +332,227 @@ router.post(
 	})
 );
 
-// Update task
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Apply one operation to tasks given by `ids` or by `filter`
+ *          (list filters); each task is authorized and validated on its
+ *          own. With `atomic: true` everything runs in one transaction.
+ * @body    { ids | filter, operation, params, atomic }
+ * @access  Private
+ */
+router.post(
+	"/bulk",
+	[
+		body("operation")
+			.isIn(BULK_OPERATIONS)
+			.withMessage(`operation must be one of: ${BULK_OPERATIONS.join(", ")}`),
+		body("ids")
+			.optional()
+			.isArray({ min: 1, max: MAX_BULK_TASKS })
+			.withMessage(`ids must be an array of 1 to ${MAX_BULK_TASKS} task IDs`),
+		body("ids.*").isMongoId().withMessage("Invalid task ID"),
+		body("filter")
+			.optional()
+			.isObject()
+			.custom((filter) =>
+				Object.values(filter).every(
+					(value) =>
+						typeof value === "string" ||
+						(Array.isArray(value) && value.every((v) => typeof v === "string"))
+				)
+			)
+			.withMessage("filter values must be strings or arrays of strings"),
+		body("atomic")
+			.optional()
+			.isBoolean({ strict: true })
+			.withMessage("atomic must be a boolean"),
+		body("params.assignedTo")
+			.if(body("operation").equals("reassign"))
+			.isMongoId()
+			.withMessage("params.assignedTo must be a user ID"),
+		body("params.priority")
+			.if(body("operation").equals("reprioritize"))
+			.isIn(Task.schema.path("priority").enumValues)
+			.withMessage("Invalid params.priority"),
+		body(["params.add", "params.remove", "params.set"])
+			.if(body("operation").equals("retag"))
+			.optional()
+			.isArray()
+			.withMessage("params.add, params.remove and params.set must be arrays"),
+		body("params.status")
+			.if(body("operation").equals("close"))
+			.optional()
+			.isIn(["completed", "cancelled"])
+			.withMessage("params.status must be completed or cancelled"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const { ids, filter, operation, params = {}, atomic = false } = req.body;
+		if (!ids === !filter) {
+			throw new AppError("Provide either ids or filter", 400);
+		}
+
+		if (
+			operation === "reassign" &&
+			!(await User.exists({ _id: params.assignedTo }))
+		) {
+			throw new AppError("Assignee not found", 400);
+		}
+
+		let tasks;
+		let missingIds = [];
+		if (ids) {
+			const uniqueIds = [...new Set(ids)];
+			tasks = await Task.find({ _id: { $in: uniqueIds } });
+			const found = new Set(tasks.map((t) => t._id.toString()));
+			missingIds = uniqueIds.filter((id) => !found.has(id));
+		} else {
+			tasks = await Task.find(
+				buildTaskFilter(filter, req.user, await buildVisibilityFilter(req.user))
+			).limit(MAX_BULK_TASKS + 1);
+			if (tasks.length > MAX_BULK_TASKS) {
+				throw new AppError(
+					`filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down`,
+					400
+				);
+			}
+		}
+
+		const { committed, results, changes } = await runBulkOperation(tasks, {
+			operation,
+			params,
+			user: req.user,
+			atomic,
+			missingIds,
+		});
+
+		for (const change of changes) {
+			if (change.action === "delete") {
+				await removeStoredFiles(change.before.attachments.map((a) => a.path));
+			}
+			await recordAudit(req, change.action, "task", {
+				resourceId: change.before._id,
+				before: change.before,
+				after: change.after,
+				metadata: { bulk: operation },
+			});
+		}
+
+		const succeeded = results.filter((r) => r.success).length;
+
+		res.status(atomic && !committed ? 409 : 200).json({
+			success: !atomic || committed,
+			...(atomic &&
+				!committed && { message: "Bulk operation failed and was rolled back" }),
+			data: {
+				operation,
+				atomic,
+				committed,
+				total: results.length,
+				succeeded,
+				failed: results.length - succeeded,
+				results,
+			},
+		});
+	})
+);
+
+// Update task (completing a task with open subtasks needs ?force=true;
+// tasks with open blockers cannot start or complete; progress of tasks
+// with subtasks is derived)
 router.put(
 	"/:id",
 	asyncHandler(async (req, res) => {
-		const task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-			new: true,
-			runValidators: true,
-		})
-			.populate("assignedTo", "firstName lastName email")
-			.populate("createdBy", "firstName lastName email");
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
 
-		if (!task) {
-			return res.status(404).json({
-				success: false,
-				message: "Task not found",
-			});
+		await assertCanUpdateTask(req.user, task, req.body);
+
+		if (req.body.series !== undefined || req.body.occurrence !== undefined) {
+			throw new AppError("Recurring series links cannot be changed", 400);
+		}
+		if (req.body.actualHours !== undefined) {
+			throw new AppError(
+				"actualHours is computed from time entries and cannot be set",
+				400
+			);
+		}
+		if (
+			req.body.progress !== undefined &&
+			(await Task.exists({ parent: task._id, status: { $ne: "cancelled" } }))
+		) {
+			throw new AppError(
+				"progress is derived from subtasks and cannot be set",
+				400
+			);
 		}
 
+		const updates = Task.pickWritable(req.body);
+		if (updates.project === "") updates.project = null;
+		if (
+			updates.project !== undefined &&
+			String(updates.project) !== String(task.project)
+		) {
+			await assertCanUseProject(req.user, updates.project);
+		}
+
+		// A custom status decides the lifecycle status checked below
+		if (updates.customStatus) {
+			const projectId =
+				updates.project !== undefined ? updates.project : task.project;
+			const project =
+				projectId && (await Project.findById(projectId).select("settings"));
+			const custom = project && project.statusFor(updates.customStatus);
+			if (custom) updates.status = custom.state;
+		}
+
+		if (updates.parent === "") updates.parent = null;
+		if (
+			updates.parent !== undefined &&
+			String(updates.parent) !== String(task.parent)
+		) {
+			await assertValidParent(req.user, task, updates.parent);
+			updates.position = await nextSubtaskPosition(updates.parent || null);
+		}
+
+		if (updates.blockedBy !== undefined) {
+			const current = task.blockedBy.map(String);
+			updates.blockedBy = [].concat(updates.blockedBy || []);
+			await assertValidBlockers(
+				req.user,
+				task,
+				updates.blockedBy.filter((id) => !current.includes(String(id)))
+			);
+		}
+
+		if (updates.status !== undefined) {
+			await assertNotBlocked(
+				{ ...task.toObject(), blockedBy: updates.blockedBy || task.blockedBy },
+				updates.status
+			);
+		}
+
+		if (updates.status === "completed" && task.status !== "completed") {
+			await assertCanComplete(task, req.query.force === "true");
+		}
+
+		const before = snapshot(task);
+		task.set(updates);
+		await task.save();
+		await recordAudit(req, "update", "task", { before, after: task });
+
+		await task.populate([
+			{ path: "assignedTo", select: "firstName lastName email" },
+			{ path: "createdBy", select: "firstName lastName email" },
+		]);
+
 		res.json({
 			success: true,
 			data: task,
@@ -88,18 +560,52 @@ router.put(
 	})
 );
 
+/**
+ * @route   POST /api/tasks/:id/skip
+ * @desc    Skip an occurrence of a recurring task: it is cancelled and
+ *          the next occurrence is generated; the series is unchanged
+ * @access  Private (task editors)
+ */
+router.post(
+	"/:id/skip",
+	asyncHandler(async (req, res) => {
+		const task = await findTaskWithAccess(req.params.id, req.user, "edit");
+
+		if (!task.series) {
+			throw new AppError(
+				"Only occurrences of recurring tasks can be skipped",
+				400
+			);
+		}
+		if (["completed", "cancelled"].includes(task.status)) {
+			throw new AppError("This occurrence is already closed", 409);
+		}
+
+		const before = snapshot(task);
+		task.set({ status: "cancelled", skipped: true });
+		await task.save();
+		await recordAudit(req, "skip", "task", { before, after: task });
+
+		res.json({
+			success: true,
+			data: await Task.findOne({
+				series: task.series,
+				occurrence: task.occurrence + 1,
+			}),
+			message: "Occurrence skipped",
+		});
+	})
+);
+
 // Delete task
 router.delete(
 	"/:id",
 	asyncHandler(async (req, res) => {
-		const task = await Task.findByIdAndDelete(req.params.id);
+		const task = await findTaskWithAccess(req.params.id, req.user, "delete");
 
-		if (!task) {
-			return res.status(404).json({
-				success: false,
-				message: "Task not found",
-			});
-		}
+		await task.deleteOne();
+		await removeStoredFiles(task.attachments.map((a) => a.path));
+		await recordAudit(req, "delete", "task", { before: task });
 
 		res.json({
 			success: true,
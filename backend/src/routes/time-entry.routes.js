@@ -0,0 +1,589 @@
+/**
+ * TIME ENTRY ROUTES - Time tracking and timesheets
+ *
+ * Features:
+ * - Start/stop timer (one running timer per user)
+ * - Manual entries with start and end or duration
+ * - Per-user and per-task timesheet reports over a date range,
+ *   comparing actual and estimated hours
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, query, validationResult } = require("express-validator");
+const TimeEntry = require("../models/time-entry.model");
+const Task = require("../models/task.model");
+const User = require("../models/user.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const {
+	buildVisibilityFilter,
+	getVisibleUserIds,
+	findTaskWithAccess,
+} = require("../utils/task-access.util");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const { userRef } = require("../utils/task-query.util");
+const { hasPermission } = require("../services/permission.service");
+const { recordAudit, snapshot } = require("../services/audit.service");
+
+const router = express.Router();
+
+const DEFAULT_REPORT_DAYS = 7;
+
+const toHours = (seconds) => Math.round((seconds / 3600) * 100) / 100;
+
+const rangeValidation = [
+	query("from").optional().isISO8601().withMessage("Invalid from date"),
+	query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+const entryValidation = [
+	body("startedAt").optional().isISO8601().withMessage("Invalid start time"),
+	body("endedAt").optional().isISO8601().withMessage("Invalid end time"),
+	body("durationMinutes")
+		.optional()
+		.isFloat({ min: 0, max: 24 * 60 })
+		.withMessage("durationMinutes must be between 0 and 1440"),
+	body("note")
+		.optional()
+		.isLength({ max: 500 })
+		.withMessage("Note cannot exceed 500 characters"),
+];
+
+/**
+ * Date range from `from`/`to` query parameters
+ * (defaults to the last DEFAULT_REPORT_DAYS days)
+ */
+const parseRange = (query) => {
+	const to = query.to ? new Date(query.to) : new Date();
+	const from = query.from
+		? new Date(query.from)
+		: new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+	if (from > to) {
+		throw new AppError("from must be before to", 400);
+	}
+	return { from, to };
+};
+
+/**
+ * Filter for the entries a user may see, narrowed by the
+ * `user`/`task` query parameters
+ */
+const buildEntryFilter = async (query, user) => {
+	const visibleUsers = await getVisibleUserIds(user);
+	const conditions = [];
+
+	if (visibleUsers) conditions.push({ user: { $in: visibleUsers } });
+	if (query.user) {
+		conditions.push({
+			user: new mongoose.Types.ObjectId(
+				query.user === "me" ? user._id : query.user
+			),
+		});
+	}
+	if (query.task) {
+		conditions.push({ task: new mongoose.Types.ObjectId(query.task) });
+	}
+
+	return conditions.length ? { $and: conditions } : {};
+};
+
+/**
+ * Load an entry the user may change (own entries, or any with
+ * "task:write:all")
+ */
+const findOwnEntry = async (id, user) => {
+	const entry = await TimeEntry.findById(id);
+	if (!entry) {
+		throw new AppError("Time entry not found", 404);
+	}
+	if (
+		!entry.user.equals(user._id) &&
+		!(await hasPermission(user, "task:write:all"))
+	) {
+		throw new AppError("You can only change your own time entries", 403);
+	}
+	return entry;
+};
+
+/**
+ * Apply startedAt / endedAt / durationMinutes / note from a request body
+ */
+const applyEntryFields = (entry, data) => {
+	if (data.startedAt !== undefined) entry.startedAt = new Date(data.startedAt);
+	if (data.endedAt !== undefined) entry.endedAt = new Date(data.endedAt);
+	if (data.durationMinutes !== undefined) {
+		entry.endedAt = new Date(
+			entry.startedAt.getTime() + Number(data.durationMinutes) * 60 * 1000
+		);
+	}
+	if (data.note !== undefined) entry.note = data.note;
+};
+
+/**
+ * @route   GET /api/time-entries
+ * @desc    List time entries (own and team's; everyone's with
+ *          "task:read:all"), newest first
+ * @query   user, task, from, to, sort, page, limit, cursor
+ * @access  Private
+ */
+router.get(
+	"/",
+	[
+		userRef("user"),
+		query("task").optional().isMongoId().withMessage("Invalid task ID"),
+		...rangeValidation,
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const filter = await buildEntryFilter(req.query, req.user);
+		if (req.query.from || req.query.to) {
+			const { from, to } = parseRange(req.query);
+			filter.startedAt = { $gte: from, $lte: to };
+		}
+
+		const { items, pagination } = await paginate(
+			TimeEntry,
+			filter,
+			{
+				sort: parseSort(
+					req.query.sort,
+					["startedAt", "duration"],
+					"-startedAt"
+				),
+				...parsePagination(req.query),
+			},
+			(q) =>
+				q
+					.populate("user", "firstName lastName email")
+					.populate("task", "title status estimatedHours actualHours")
+		);
+
+		res.json({
+			success: true,
+			data: items,
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/time-entries/current
+ * @desc    Get the current user's running timer (null if none)
+ * @access  Private
+ */
+router.get(
+	"/current",
+	asyncHandler(async (req, res) => {
+		const entry = await TimeEntry.findRunning(req.user._id).populate(
+			"task",
+			"title status"
+		);
+
+		res.json({
+			success: true,
+			data: entry,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/time-entries/start
+ * @desc    Start a timer on a task; fails with 409 (TIMER_RUNNING) if
+ *          the user already has a running timer
+ * @access  Private (task editors)
+ */
+router.post(
+	"/start",
+	[
+		body("taskId").isMongoId().withMessage("Valid task ID is required"),
+		body("note")
+			.optional()
+			.isLength({ max: 500 })
+			.withMessage("Note cannot exceed 500 characters"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const task = await findTaskWithAccess(req.body.taskId, req.user, "edit");
+
+		const running = await TimeEntry.findRunning(req.user._id);
+		if (running) {
+			throw new AppError(
+				"You already have a running timer; stop it first",
+				409,
+				"TIMER_RUNNING"
+			);
+		}
+
+		const entry = new TimeEntry({
+			user: req.user._id,
+			task: task._id,
+			startedAt: new Date(),
+			note: req.body.note,
+			source: "timer",
+		});
+
+		try {
+			await entry.save();
+		} catch (error) {
+			// Lost a race with another start request
+			if (error.code === 11000) {
+				throw new AppError(
+					"You already have a running timer; stop it first",
+					409,
+					"TIMER_RUNNING"
+				);
+			}
+			throw error;
+		}
+		await recordAudit(req, "create", "time_entry", { after: entry });
+
+		res.status(201).json({
+			success: true,
+			data: entry,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/time-entries/stop
+ * @desc    Stop the current user's running timer
+ * @access  Private
+ */
+router.post(
+	"/stop",
+	[
+		body("note")
+			.optional()
+			.isLength({ max: 500 })
+			.withMessage("Note cannot exceed 500 characters"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const entry = await TimeEntry.findRunning(req.user._id);
+		if (!entry) {
+			throw new AppError("No timer is running", 404);
+		}
+
+		const before = snapshot(entry);
+		entry.endedAt = new Date();
+		if (req.body.note !== undefined) entry.note = req.body.note;
+		await entry.save();
+		await recordAudit(req, "stop_timer", "time_entry", {
+			before,
+			after: entry,
+		});
+
+		res.json({
+			success: true,
+			data: entry,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/time-entries
+ * @desc    Log time manually: `startedAt` plus `endedAt` or
+ *          `durationMinutes`
+ * @access  Private (task editors)
+ */
+router.post(
+	"/",
+	[
+		body("taskId").isMongoId().withMessage("Valid task ID is required"),
+		body("startedAt").isISO8601().withMessage("Valid start time is required"),
+		...entryValidation,
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		if (
+			req.body.endedAt === undefined &&
+			req.body.durationMinutes === undefined
+		) {
+			throw new AppError("endedAt or durationMinutes is required", 400);
+		}
+
+		const task = await findTaskWithAccess(req.body.taskId, req.user, "edit");
+
+		const entry = new TimeEntry({ user: req.user._id, task: task._id });
+		applyEntryFields(entry, req.body);
+		await entry.save();
+		await recordAudit(req, "create", "time_entry", { after: entry });
+
+		res.status(201).json({
+			success: true,
+			data: entry,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/time-entries/reports/users
+ * @desc    Timesheet per user: hours per task in the range, with each
+ *          task's estimated and total actual hours (details of tasks the
+ *          caller cannot see are left out)
+ * @query   from, to (default last 7 days), user
+ * @access  Private (own and team's; everyone's with "task:read:all")
+ */
+router.get(
+	"/reports/users",
+	[...rangeValidation, userRef("user")],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const { from, to } = parseRange(req.query);
+		const filter = await buildEntryFilter(req.query, req.user);
+
+		const rows = await TimeEntry.aggregate([
+			{
+				$match: {
+					...filter,
+					running: false,
+					startedAt: { $gte: from, $lte: to },
+				},
+			},
+			{
+				$group: {
+					_id: { user: "$user", task: "$task" },
+					seconds: { $sum: "$duration" },
+					entries: { $sum: 1 },
+				},
+			},
+		]);
+
+		const [users, tasks] = await Promise.all([
+			User.find({ _id: { $in: rows.map((r) => r._id.user) } }).select(
+				"firstName lastName email"
+			),
+			Task.find({
+				$and: [
+					await buildVisibilityFilter(req.user),
+					{ _id: { $in: rows.map((r) => r._id.task) } },
+				],
+			}).select("title status estimatedHours actualHours"),
+		]);
+		// Tasks the caller cannot see are listed by ID only
+		const taskById = new Map(tasks.map((t) => [t._id.toString(), t]));
+
+		const report = users.map((user) => {
+			const own = rows.filter((r) => r._id.user.equals(user._id));
+			const seconds = own.reduce((sum, r) => sum + r.seconds, 0);
+			return {
+				user,
+				hours: toHours(seconds),
+				entries: own.reduce((sum, r) => sum + r.entries, 0),
+				tasks: own
+					.map((r) => {
+						const task = taskById.get(r._id.task.toString());
+						return {
+							task: task || { _id: r._id.task, title: null },
+							hours: toHours(r.seconds),
+							estimatedHours: task ? task.estimatedHours : null,
+							actualHours: task ? task.actualHours : null,
+						};
+					})
+					.sort((a, b) => b.hours - a.hours),
+			};
+		});
+
+		res.json({
+			success: true,
+			data: {
+				from,
+				to,
+				users: report.sort((a, b) => b.hours - a.hours),
+			},
+		});
+	})
+);
+
+/**
+ * @route   GET /api/time-entries/reports/tasks
+ * @desc    Timesheet per task: hours in the range by user, compared with
+ *          estimated hours (variance = actual - estimated)
+ * @query   from, to (default last 7 days), task, user
+ * @access  Private (visible tasks only)
+ */
+router.get(
+	"/reports/tasks",
+	[
+		...rangeValidation,
+		userRef("user"),
+		query("task").optional().isMongoId().withMessage("Invalid task ID"),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const { from, to } = parseRange(req.query);
+		const match = { running: false, startedAt: { $gte: from, $lte: to } };
+		if (req.query.task)
+			match.task = new mongoose.Types.ObjectId(req.query.task);
+		if (req.query.user) {
+			match.user = new mongoose.Types.ObjectId(
+				req.query.user === "me" ? req.user._id : req.query.user
+			);
+		}
+
+		// Only entries on visible tasks are aggregated
+		const tasks = await Task.find({
+			$and: [
+				await buildVisibilityFilter(req.user),
+				{ _id: { $in: await TimeEntry.distinct("task", match) } },
+			],
+		}).select("title status estimatedHours actualHours");
+		match.task = { $in: tasks.map((task) => task._id) };
+
+		const rows = await TimeEntry.aggregate([
+			{ $match: match },
+			{
+				$group: {
+					_id: { task: "$task", user: "$user" },
+					seconds: { $sum: "$duration" },
+				},
+			},
+		]);
+
+		const users = await User.find({
+			_id: { $in: rows.map((r) => r._id.user) },
+		}).select("firstName lastName email");
+		const userById = new Map(users.map((u) => [u._id.toString(), u]));
+
+		const report = tasks.map((task) => {
+			const own = rows.filter((r) => r._id.task.equals(task._id));
+			const hours = toHours(own.reduce((sum, r) => sum + r.seconds, 0));
+			return {
+				task,
+				hours,
+				estimatedHours: task.estimatedHours,
+				actualHours: task.actualHours,
+				variance:
+					Math.round((task.actualHours - task.estimatedHours) * 100) / 100,
+				users: own
+					.map((r) => ({
+						user: userById.get(r._id.user.toString()) || { _id: r._id.user },
+						hours: toHours(r.seconds),
+					}))
+					.sort((a, b) => b.hours - a.hours),
+			};
+		});
+
+		res.json({
+			success: true,
+			data: {
+				from,
+				to,
+				tasks: report.sort((a, b) => b.hours - a.hours),
+			},
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/time-entries/:id
+ * @desc    Edit an entry's times or note (setting endedAt stops a timer)
+ * @access  Private (entry owner or "task:write:all")
+ */
+router.put(
+	"/:id",
+	entryValidation,
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const entry = await findOwnEntry(req.params.id, req.user);
+		const before = snapshot(entry);
+
+		applyEntryFields(entry, req.body);
+		await entry.save();
+		await recordAudit(req, "update", "time_entry", { before, after: entry });
+
+		res.json({
+			success: true,
+			data: entry,
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/time-entries/:id
+ * @desc    Delete a time entry
+ * @access  Private (entry owner or "task:write:all")
+ */
+router.delete(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const entry = await findOwnEntry(req.params.id, req.user);
+
+		await entry.deleteOne();
+		await recordAudit(req, "delete", "time_entry", { before: entry });
+
+		res.json({
+			success: true,
+			message: "Time entry deleted successfully",
+		});
+	})
+);
+
+module.exports = router;
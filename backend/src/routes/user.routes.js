@@ -1,14 +1,51 @@
 const express = require("express");
 const User = require("../models/user.model");
-const { asyncHandler } = require("../middleware/error.middleware");
-const { requireAdmin } = require("../middleware/auth.middleware");
+const Role = require("../models/role.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	getRolePermissions,
+	getUserPermissions,
+	hasPermission,
+} = require("../services/permission.service");
+const { recordAudit, snapshot } = require("../services/audit.service");
 
 const router = express.Router();
 
-// Get all users (admin only)
+// Fields users may change on their own profile
+const SELF_EDITABLE_FIELDS = [
+	"firstName",
+	"lastName",
+	"phone",
+	"avatar",
+	"preferences",
+];
+
+// Additional fields "user:manage" may change
+const MANAGED_FIELDS = ["email", "role", "manager", "isActive"];
+
+const pick = (source, fields) =>
+	fields.reduce((result, field) => {
+		if (source[field] !== undefined) result[field] = source[field];
+		return result;
+	}, {});
+
+const isSelf = (req) => req.params.id === req.user._id.toString();
+
+/**
+ * Whether a role grants a permission the user does not hold
+ */
+const exceedsPermissions = async (user, roleName) => {
+	const held = await getUserPermissions(user);
+	return (await getRolePermissions(roleName)).some(
+		(permission) => !held.includes(permission)
+	);
+};
+
+// Get all users
 router.get(
 	"/",
-	requireAdmin,
+	requirePermission("user:read"),
 	asyncHandler(async (req, res) => {
 		const users = await User.find().select("-password");
 		res.json({
@@ -18,10 +55,14 @@ router.get(
 	})
 );
 
-// Get user by ID
+// Get user by ID (self or "user:read")
 router.get(
 	"/:id",
 	asyncHandler(async (req, res) => {
+		if (!isSelf(req) && !(await hasPermission(req.user, "user:read"))) {
+			throw new AppError("Insufficient permissions", 403);
+		}
+
 		const user = await User.findById(req.params.id).select("-password");
 		if (!user) {
 			return res.status(404).json({
@@ -36,14 +77,42 @@ router.get(
 	})
 );
 
-// Update user
+// Update user (own profile, or anyone with "user:manage")
 router.put(
 	"/:id",
 	asyncHandler(async (req, res) => {
-		const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-			new: true,
-			runValidators: true,
-		}).select("-password");
+		const canManage = await hasPermission(req.user, "user:manage");
+		if (!isSelf(req) && !canManage) {
+			throw new AppError("Insufficient permissions", 403);
+		}
+
+		const updates = pick(
+			req.body,
+			canManage
+				? [...SELF_EDITABLE_FIELDS, ...MANAGED_FIELDS]
+				: SELF_EDITABLE_FIELDS
+		);
+
+		if (updates.role !== undefined) {
+			if (isSelf(req)) {
+				throw new AppError("You cannot change your own role", 403);
+			}
+			if (!(await Role.findByName(updates.role))) {
+				throw new AppError(`Role "${updates.role}" does not exist`, 400);
+			}
+			if (await exceedsPermissions(req.user, updates.role)) {
+				throw new AppError(
+					"You cannot assign a role with permissions you do not hold",
+					403
+				);
+			}
+		}
+
+		if (updates.manager && updates.manager.toString() === req.params.id) {
+			throw new AppError("A user cannot be their own manager", 400);
+		}
+
+		const user = await User.findById(req.params.id);
 
 		if (!user) {
 			return res.status(404).json({
@@ -52,6 +121,29 @@ router.put(
 			});
 		}
 
+		if (
+			updates.role !== undefined &&
+			updates.role !== user.role &&
+			(await exceedsPermissions(req.user, user.role))
+		) {
+			throw new AppError(
+				"You cannot change the role of a user with permissions you do not hold",
+				403
+			);
+		}
+
+		const before = snapshot(user);
+		user.set(updates);
+		await user.save();
+
+		// Role changes get their own action so they are easy to find
+		await recordAudit(
+			req,
+			before.role !== user.role ? "role_change" : "update",
+			"user",
+			{ before, after: user }
+		);
+
 		res.json({
 			success: true,
 			data: user,
@@ -59,11 +151,40 @@ router.put(
 	})
 );
 
-// Delete user (admin only)
+// Unlock a locked-out account
+router.post(
+	"/:id/unlock",
+	requirePermission("user:manage"),
+	asyncHandler(async (req, res) => {
+		const user = await User.findById(req.params.id);
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message: "User not found",
+			});
+		}
+
+		user.lastFailedLogin = null;
+		await user.resetLoginAttempts();
+		await recordAudit(req, "unlock", "user", { resourceId: user._id });
+
+		res.json({
+			success: true,
+			message: "User account unlocked",
+			data: user.getPublicProfile(),
+		});
+	})
+);
+
+// Delete user
 router.delete(
 	"/:id",
-	requireAdmin,
+	requirePermission("user:manage"),
 	asyncHandler(async (req, res) => {
+		if (isSelf(req)) {
+			throw new AppError("You cannot delete your own account", 400);
+		}
+
 		const user = await User.findByIdAndDelete(req.params.id);
 		if (!user) {
 			return res.status(404).json({
@@ -72,6 +193,8 @@ router.delete(
 			});
 		}
 
+		await recordAudit(req, "delete", "user", { before: user });
+
 		res.json({
 			success: true,
 			message: "User deleted successfully",
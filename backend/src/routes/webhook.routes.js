@@ -0,0 +1,368 @@
+/**
+ * WEBHOOK ROUTES - Manage outgoing webhooks and inspect deliveries
+ *
+ * Features:
+ * - Create, edit, pause and delete subscriptions with an event filter
+ * - Signing secret shown once on creation and on rotation
+ * - Test ping, delivery log and manual redelivery
+ */
+
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const Webhook = require("../models/webhook.model");
+const WebhookDelivery = require("../models/webhook-delivery.model");
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const { requirePermission } = require("../middleware/auth.middleware");
+const {
+	parsePagination,
+	parseSort,
+	paginate,
+	MAX_LIMIT,
+} = require("../utils/pagination.util");
+const { EVENT_TYPES } = require("../services/event.service");
+const { redeliver, queuePing } = require("../services/webhook.service");
+const { recordAudit, snapshot } = require("../services/audit.service");
+
+const router = express.Router();
+
+router.use(requirePermission("webhook:manage"));
+
+const EDITABLE_FIELDS = ["name", "description", "url", "events", "isActive"];
+
+const pick = (source, fields) =>
+	fields.reduce((result, field) => {
+		if (source[field] !== undefined) result[field] = source[field];
+		return result;
+	}, {});
+
+const webhookValidation = (optional = false) => {
+	const required = (chain) => (optional ? chain.optional() : chain);
+	return [
+		required(body("name"))
+			.trim()
+			.notEmpty()
+			.withMessage("Webhook name is required")
+			.isLength({ max: 100 })
+			.withMessage("Webhook name cannot exceed 100 characters"),
+		body("description")
+			.optional()
+			.isLength({ max: 500 })
+			.withMessage("Description cannot exceed 500 characters"),
+		required(body("url"))
+			.isURL({ protocols: ["http", "https"], require_tld: false })
+			.withMessage("A valid http(s) URL is required"),
+		required(body("events"))
+			.isArray({ min: 1 })
+			.withMessage("events must be a non-empty array"),
+		body("events.*")
+			.isIn([Webhook.ALL_EVENTS, ...EVENT_TYPES])
+			.withMessage("Unknown event type"),
+		body("isActive")
+			.optional()
+			.isBoolean()
+			.withMessage("isActive must be a boolean"),
+	];
+};
+
+const findWebhook = async (id, withSecret = false) => {
+	const webhook = await Webhook.findById(id).select(
+		withSecret ? "+secret" : ""
+	);
+	if (!webhook) {
+		throw new AppError("Webhook not found", 404);
+	}
+	return webhook;
+};
+
+const findDelivery = async (webhookId, deliveryId) => {
+	const delivery = await WebhookDelivery.findOne({
+		_id: deliveryId,
+		webhook: webhookId,
+	});
+	if (!delivery) {
+		throw new AppError("Delivery not found", 404);
+	}
+	return delivery;
+};
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List event types a webhook can subscribe to
+ * @access  Private ("webhook:manage")
+ */
+router.get("/events", (req, res) => {
+	res.json({
+		success: true,
+		data: [Webhook.ALL_EVENTS, ...EVENT_TYPES],
+	});
+});
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhooks
+ * @access  Private ("webhook:manage")
+ */
+router.get(
+	"/",
+	asyncHandler(async (req, res) => {
+		const webhooks = await Webhook.find()
+			.sort({ createdAt: -1 })
+			.populate("createdBy", "firstName lastName email");
+
+		res.json({
+			success: true,
+			data: webhooks,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook
+ * @access  Private ("webhook:manage")
+ */
+router.get(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const webhook = await findWebhook(req.params.id);
+		await webhook.populate("createdBy", "firstName lastName email");
+
+		res.json({
+			success: true,
+			data: webhook,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook. The signing secret is only returned here.
+ * @access  Private ("webhook:manage")
+ */
+router.post(
+	"/",
+	webhookValidation(),
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const webhook = new Webhook({
+			...pick(req.body, EDITABLE_FIELDS),
+			createdBy: req.user._id,
+		});
+		const secret = webhook.createSecret();
+		await webhook.save();
+		await recordAudit(req, "create", "webhook", { after: webhook });
+
+		res.status(201).json({
+			success: true,
+			data: { ...webhook.toJSON(), secret },
+			message: "Store the signing secret now; it will not be shown again",
+		});
+	})
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook's name, URL, events or active state
+ * @access  Private ("webhook:manage")
+ */
+router.put(
+	"/:id",
+	webhookValidation(true),
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const webhook = await findWebhook(req.params.id);
+		const before = snapshot(webhook);
+
+		webhook.set(pick(req.body, EDITABLE_FIELDS));
+		await webhook.save();
+		await recordAudit(req, "update", "webhook", { before, after: webhook });
+
+		res.json({
+			success: true,
+			data: webhook,
+		});
+	})
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private ("webhook:manage")
+ */
+router.delete(
+	"/:id",
+	asyncHandler(async (req, res) => {
+		const webhook = await findWebhook(req.params.id);
+
+		await webhook.deleteOne();
+		await WebhookDelivery.deleteMany({ webhook: webhook._id });
+		await recordAudit(req, "delete", "webhook", { before: webhook });
+
+		res.json({
+			success: true,
+			message: "Webhook deleted successfully",
+		});
+	})
+);
+
+/**
+ * @route   POST /api/webhooks/:id/secret
+ * @desc    Rotate the signing secret. The new secret is only returned here.
+ * @access  Private ("webhook:manage")
+ */
+router.post(
+	"/:id/secret",
+	asyncHandler(async (req, res) => {
+		const webhook = await findWebhook(req.params.id, true);
+
+		const secret = webhook.createSecret();
+		await webhook.save();
+		await recordAudit(req, "rotate_secret", "webhook", {
+			resourceId: webhook._id,
+		});
+
+		res.json({
+			success: true,
+			data: { secret },
+			message: "Store the signing secret now; it will not be shown again",
+		});
+	})
+);
+
+/**
+ * @route   POST /api/webhooks/:id/ping
+ * @desc    Queue a "webhook.ping" test delivery
+ * @access  Private ("webhook:manage")
+ */
+router.post(
+	"/:id/ping",
+	asyncHandler(async (req, res) => {
+		const webhook = await findWebhook(req.params.id);
+		if (!webhook.isActive) {
+			throw new AppError("Webhook is disabled", 409, "WEBHOOK_DISABLED");
+		}
+
+		const delivery = await queuePing(webhook, req.user._id);
+
+		res.status(202).json({
+			success: true,
+			data: delivery,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log of a webhook, newest first
+ * @query   status, event, page, limit, cursor
+ * @access  Private ("webhook:manage")
+ */
+router.get(
+	"/:id/deliveries",
+	[
+		query("status")
+			.optional()
+			.isIn(WebhookDelivery.DELIVERY_STATUSES)
+			.withMessage(
+				`status must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(", ")}`
+			),
+		query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+		query("limit")
+			.optional()
+			.isInt({ min: 1, max: MAX_LIMIT })
+			.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+	],
+	asyncHandler(async (req, res) => {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({
+				success: false,
+				message: "Validation failed",
+				errors: errors.array(),
+			});
+		}
+
+		const webhook = await findWebhook(req.params.id);
+		const filter = { webhook: webhook._id };
+		if (req.query.status) filter.status = req.query.status;
+		if (req.query.event) filter.event = String(req.query.event);
+
+		const { items, pagination } = await paginate(
+			WebhookDelivery,
+			filter,
+			{
+				sort: parseSort(undefined, ["createdAt"]),
+				...parsePagination(req.query),
+			},
+			(deliveries) => deliveries.select("-payload -responseBody")
+		);
+
+		res.json({
+			success: true,
+			data: items,
+			pagination,
+		});
+	})
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and last response
+ * @access  Private ("webhook:manage")
+ */
+router.get(
+	"/:id/deliveries/:deliveryId",
+	asyncHandler(async (req, res) => {
+		const delivery = await findDelivery(req.params.id, req.params.deliveryId);
+
+		res.json({
+			success: true,
+			data: delivery,
+		});
+	})
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send a logged delivery again with the same payload
+ * @access  Private ("webhook:manage")
+ */
+router.post(
+	"/:id/deliveries/:deliveryId/redeliver",
+	asyncHandler(async (req, res) => {
+		const webhook = await findWebhook(req.params.id);
+		if (!webhook.isActive) {
+			throw new AppError("Webhook is disabled", 409, "WEBHOOK_DISABLED");
+		}
+		const delivery = await findDelivery(webhook._id, req.params.deliveryId);
+
+		const copy = await redeliver(delivery, req.user._id);
+		await recordAudit(req, "redeliver", "webhook", {
+			resourceId: webhook._id,
+			metadata: { deliveryId: delivery._id, redeliveryId: copy._id },
+		});
+
+		res.status(202).json({
+			success: true,
+			data: copy,
+		});
+	})
+);
+
+module.exports = router;
@@ -20,12 +20,36 @@ require("dotenv").config();
 const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
 const taskRoutes = require("./routes/task.routes");
+const recurringTaskRoutes = require("./routes/recurring-task.routes");
+const timeEntryRoutes = require("./routes/time-entry.routes");
 const productRoutes = require("./routes/product.routes");
 const settingsRoutes = require("./routes/settings.routes");
-
-const { authenticateToken } = require("./middleware/auth.middleware");
+const roleRoutes = require("./routes/role.routes");
+const auditRoutes = require("./routes/audit.routes");
+const calendarRoutes = require("./routes/calendar.routes");
+const webhookRoutes = require("./routes/webhook.routes");
+const realtimeRoutes = require("./routes/realtime.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const jobRoutes = require("./routes/job.routes");
+const projectRoutes = require("./routes/project.routes");
+
+const {
+	authenticateToken,
+	enforceTwoFactor,
+} = require("./middleware/auth.middleware");
 const { errorHandler } = require("./middleware/error.middleware");
-const { seedDemoUser } = require("./config/seed");
+const { requestId } = require("./middleware/request-id.middleware");
+const {
+	seedRoles,
+	seedDemoUser,
+	backfillEmailVerification,
+	backfillTaskSortRanks,
+} = require("./config/seed");
+const { JOBS } = require("./config/jobs");
+const { startWebhookWorker } = require("./services/webhook.service");
+const { startRealtimeFeed } = require("./services/realtime.service");
+const { startNotificationWorker } = require("./services/notification.service");
+const { defineJobs, startScheduler } = require("./services/scheduler.service");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,6 +57,9 @@ const PORT = process.env.PORT || 3000;
 // Security middleware
 app.use(helmet());
 
+// Request IDs for log and audit correlation
+app.use(requestId);
+
 // Rate limiting
 const limiter = rateLimit({
 	windowMs: 15 * 60 * 1000, // 15 minutes
@@ -54,7 +81,10 @@ const corsOptions = {
 		"Authorization",
 		"X-Requested-With",
 		"Accept",
+		"X-Request-Id",
+		"Last-Event-ID",
 	],
+	exposedHeaders: ["X-Request-Id"],
 	optionsSuccessStatus: 204,
 };
 app.use(cors(corsOptions));
@@ -63,9 +93,6 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Static files
-app.use("/uploads", express.static("uploads"));
-
 // Health check endpoint
 app.get("/health", (req, res) => {
 	res.status(200).json({
@@ -76,11 +103,25 @@ app.get("/health", (req, res) => {
 });
 
 // API Routes
+const protect = [authenticateToken, enforceTwoFactor];
+
 app.use("/api/auth", authRoutes);
-app.use("/api/users", authenticateToken, userRoutes);
-app.use("/api/tasks", authenticateToken, taskRoutes);
-app.use("/api/products", authenticateToken, productRoutes);
-app.use("/api/settings", authenticateToken, settingsRoutes);
+app.use("/api/users", protect, userRoutes);
+app.use("/api/tasks", protect, taskRoutes);
+app.use("/api/projects", protect, projectRoutes);
+app.use("/api/recurring-tasks", protect, recurringTaskRoutes);
+app.use("/api/time-entries", protect, timeEntryRoutes);
+app.use("/api/products", protect, productRoutes);
+app.use("/api/settings", protect, settingsRoutes);
+app.use("/api/roles", protect, roleRoutes);
+app.use("/api/audit", protect, auditRoutes);
+app.use("/api/webhooks", protect, webhookRoutes);
+// The event stream also accepts stream tokens; each route authenticates
+app.use("/api/events", realtimeRoutes);
+app.use("/api/notifications", protect, notificationRoutes);
+app.use("/api/jobs", protect, jobRoutes);
+// Feed URLs authenticate with their own token; management routes use JWTs
+app.use("/api/calendar", calendarRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -105,11 +146,25 @@ mongoose
 	.then(async () => {
 		console.log("✅ Connected to MongoDB");
 		console.log("📊 Database: amisha_joshi_db");
-		// Seed demo admin user
+		// Seed built-in roles and demo admin user
+		await seedRoles();
+		const verified = await backfillEmailVerification();
+		if (verified) {
+			console.log(`✉️  Marked ${verified} existing users as email-verified`);
+		}
+		await backfillTaskSortRanks();
 		const result = await seedDemoUser();
 		if (result.seeded) {
 			console.log("🌱 Seeded demo user: demo@example.com / password123");
 		}
+		// Fan domain events out to webhooks, live event streams and
+		// notifications
+		startWebhookWorker();
+		startRealtimeFeed();
+		startNotificationWorker();
+		// Reminders, overdue checks, escalations and digests
+		defineJobs(JOBS);
+		await startScheduler();
 	})
 	.catch((error) => {
 		console.error("❌ MongoDB connection error:", error);
@@ -0,0 +1,131 @@
+/**
+ * AUDIT SERVICE - Record who changed what
+ *
+ * Features:
+ * - Field-level diffs between before/after snapshots
+ * - Redaction of secrets (passwords, token hashes, 2FA and webhook secrets)
+ * - Request context capture
+ */
+
+const AuditLog = require("../models/audit-log.model");
+
+const IGNORED_FIELDS = new Set(["_id", "__v", "id", "createdAt", "updatedAt"]);
+
+const REDACTED_FIELDS = [
+	"password",
+	"tokenVersion",
+	"passwordResetTokenHash",
+	"emailVerificationTokenHash",
+	"twoFactor.secret",
+	"twoFactor.pendingSecret",
+	"twoFactor.recoveryCodes",
+	"twoFactor.lastUsedStep",
+	"calendarFeed.tokenHash",
+	"secret",
+];
+
+const REDACTED = "[REDACTED]";
+
+const isPlainObject = (value) =>
+	value !== null &&
+	typeof value === "object" &&
+	!Array.isArray(value) &&
+	!(value instanceof Date) &&
+	!value._bsontype;
+
+/**
+ * Plain snapshot of a document (or null)
+ */
+const snapshot = (doc) => {
+	if (!doc) return null;
+	const plain =
+		typeof doc.toObject === "function"
+			? doc.toObject({ virtuals: false, depopulate: true })
+			: doc;
+	return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Flatten nested objects into dotted paths (arrays stay whole)
+ */
+const flatten = (value, prefix = "", result = {}) => {
+	Object.entries(value || {}).forEach(([key, child]) => {
+		if (IGNORED_FIELDS.has(key)) return;
+		const path = prefix ? `${prefix}.${key}` : key;
+		if (isPlainObject(child) && Object.keys(child).length) {
+			flatten(child, path, result);
+		} else {
+			result[path] = child;
+		}
+	});
+	return result;
+};
+
+const isRedacted = (path) =>
+	REDACTED_FIELDS.some(
+		(field) => path === field || path.startsWith(`${field}.`)
+	);
+
+/**
+ * Field-level diff: [{ field, from, to }] for every changed path
+ */
+const diff = (before, after) => {
+	const from = flatten(snapshot(before));
+	const to = flatten(snapshot(after));
+
+	return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+		.filter(
+			(field) =>
+				JSON.stringify(from[field] ?? null) !==
+				JSON.stringify(to[field] ?? null)
+		)
+		.map((field) =>
+			isRedacted(field)
+				? { field, from: REDACTED, to: REDACTED }
+				: { field, from: from[field] ?? null, to: to[field] ?? null }
+		);
+};
+
+/**
+ * Append an audit entry. Failures are logged but never break the request.
+ *
+ * @param {object} req - Express request (for actor and request context)
+ * @param {string} action - e.g. "create", "update", "delete", "login"
+ * @param {string} resource - e.g. "task", "product", "user", "settings"
+ * @param {object} [options]
+ * @param {*} [options.resourceId]
+ * @param {*} [options.before] - Document or object before the change
+ * @param {*} [options.after] - Document or object after the change
+ * @param {object} [options.metadata]
+ * @param {object} [options.actor] - Defaults to req.user
+ */
+const recordAudit = async (
+	req,
+	action,
+	resource,
+	{ resourceId, before, after, metadata = {}, actor = req.user } = {}
+) => {
+	try {
+		const source = after || before;
+		await AuditLog.create({
+			actor: actor ? actor._id : null,
+			actorEmail: actor ? actor.email : null,
+			action,
+			resource,
+			resourceId: resourceId || (source && source._id) || null,
+			changes: before || after ? diff(before, after) : [],
+			metadata,
+			ip: req.ip,
+			userAgent: req.get("user-agent"),
+			requestId: req.id,
+		});
+	} catch (error) {
+		console.error("Failed to write audit log:", error);
+	}
+};
+
+module.exports = {
+	diff,
+	snapshot,
+	recordAudit,
+};
@@ -0,0 +1,86 @@
+/**
+ * DIGEST SERVICE - Daily email summary of each user's work
+ *
+ * Features:
+ * - Overdue tasks and tasks due in the next 24 hours assigned to the user
+ * - Number of unread notifications
+ * - Only sent to active users with email notifications on, and only
+ *   when there is something to report
+ */
+
+const Notification = require("../models/notification.model");
+const Task = require("../models/task.model");
+const User = require("../models/user.model");
+const { sendTemplate } = require("./mail.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tasks listed per section; the rest are only counted
+const MAX_LISTED_TASKS = 10;
+
+/**
+ * Overdue and due-today sections of one user's digest
+ */
+const buildDigest = async (userId, now = new Date()) => {
+	const section = async (dueDate) => {
+		const filter = { ...Task.openCriteria(), assignedTo: userId, dueDate };
+		const [tasks, total] = await Promise.all([
+			Task.find(filter)
+				.select("title dueDate priority status")
+				.sort({ dueDate: 1 })
+				.limit(MAX_LISTED_TASKS),
+			Task.countDocuments(filter),
+		]);
+		return { tasks, total };
+	};
+
+	const [overdue, dueToday, unreadNotifications] = await Promise.all([
+		section({ $lt: now }),
+		section({ $gte: now, $lt: new Date(now.getTime() + DAY_MS) }),
+		Notification.countUnread(userId),
+	]);
+
+	return { overdue, dueToday, unreadNotifications };
+};
+
+/**
+ * Email the digest to every user who wants one. Returns how many were
+ * sent, skipped (nothing to report) and failed.
+ */
+const sendDailyDigests = async () => {
+	const now = new Date();
+	const result = { sent: 0, skipped: 0, failed: 0 };
+
+	const users = User.find({
+		isActive: true,
+		"preferences.notifications.email": true,
+	})
+		.select("firstName lastName email")
+		.cursor();
+
+	for await (const user of users) {
+		const digest = await buildDigest(user._id, now);
+		if (
+			!digest.overdue.total &&
+			!digest.dueToday.total &&
+			!digest.unreadNotifications
+		) {
+			result.skipped += 1;
+			continue;
+		}
+
+		try {
+			await sendTemplate("dailyDigest", user.email, { user, ...digest });
+			result.sent += 1;
+		} catch (error) {
+			console.error(`Daily digest for ${user.email} failed:`, error);
+			result.failed += 1;
+		}
+	}
+
+	return result;
+};
+
+module.exports = {
+	buildDigest,
+	sendDailyDigests,
+};
@@ -0,0 +1,86 @@
+/**
+ * EVENT SERVICE - In-process bus for domain events
+ *
+ * Features:
+ * - One place where task and product changes are announced
+ * - Listeners (webhooks, live streams, notifications) run after the
+ *   publishing code has finished and cannot break it
+ * - Events raised inside a MongoDB transaction wait for it to commit
+ */
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const EVENT_TYPES = [
+	"task.created",
+	"task.updated",
+	"task.status_changed",
+	"task.assigned",
+	"task.commented",
+	"task.deleted",
+	"product.created",
+	"product.updated",
+	"product.low_stock",
+	"product.deleted",
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Announce an event. `data` must be JSON-serializable; `actor` is the
+ * ID of the user who caused it (null for system changes). With a
+ * `session` in a transaction the event is held back until
+ * `flushSessionEvents(session)` is called after the commit.
+ */
+const publish = (type, data, { actor = null, session = null } = {}) => {
+	if (session && session.inTransaction()) {
+		session.$pendingEvents = session.$pendingEvents || [];
+		session.$pendingEvents.push([type, data, { actor }]);
+		return null;
+	}
+
+	const event = {
+		id: crypto.randomUUID(),
+		type,
+		occurredAt: new Date().toISOString(),
+		actor: actor ? actor.toString() : null,
+		data,
+	};
+
+	setImmediate(() => bus.emit("event", event));
+	return event;
+};
+
+/**
+ * Publish the events held back for a session's transaction; call with
+ * `{ discard: true }` after an abort to drop them instead
+ */
+const flushSessionEvents = (session, { discard = false } = {}) => {
+	const pending = session.$pendingEvents || [];
+	session.$pendingEvents = [];
+	if (!discard) pending.forEach((args) => publish(...args));
+};
+
+/**
+ * Register a listener for every event. Returns an unsubscribe function.
+ */
+const subscribe = (listener) => {
+	const safeListener = async (event) => {
+		try {
+			await listener(event);
+		} catch (error) {
+			console.error(`Event listener failed for ${event.type}:`, error);
+		}
+	};
+
+	bus.on("event", safeListener);
+	return () => bus.off("event", safeListener);
+};
+
+module.exports = {
+	EVENT_TYPES,
+	publish,
+	flushSessionEvents,
+	subscribe,
+};
@@ -0,0 +1,117 @@
+/**
+ * LOGIN GUARD SERVICE - Brute-force protection for sign-in
+ *
+ * Features:
+ * - Failed-attempt counters per account and per client IP
+ * - Progressive delays between failed attempts
+ * - Temporary account lockout after too many failures
+ */
+
+const LoginThrottle = require("../models/login-throttle.model");
+
+const MINUTE = 60 * 1000;
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_MS =
+	(parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * MINUTE;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const IP_WINDOW_MS =
+	(parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15) * MINUTE;
+
+// Failures allowed before delays kick in, and the longest delay
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Seconds a client must wait after `attempts` consecutive failures
+ * (1s, 2s, 4s, ... capped at MAX_DELAY_SECONDS)
+ */
+const progressiveDelaySeconds = (attempts) =>
+	attempts <= FREE_ATTEMPTS
+		? 0
+		: Math.min(MAX_DELAY_SECONDS, 2 ** (attempts - FREE_ATTEMPTS - 1));
+
+const secondsUntil = (date) =>
+	Math.ceil((new Date(date).getTime() - Date.now()) / 1000);
+
+const delayRemaining = (lastFailedAt, attempts) =>
+	lastFailedAt
+		? secondsUntil(
+				new Date(lastFailedAt).getTime() +
+					progressiveDelaySeconds(attempts) * 1000
+			)
+		: 0;
+
+const lockedRejection = (user) => ({
+	statusCode: 423,
+	code: "ACCOUNT_LOCKED",
+	message:
+		"Account is temporarily locked after too many failed sign-in attempts",
+	retryAfter: secondsUntil(user.lockedUntil),
+});
+
+/**
+ * Decide whether a sign-in attempt may proceed. Returns null when it may,
+ * otherwise { statusCode, code, message, retryAfter }.
+ */
+const checkLoginAllowed = async (ip, user) => {
+	const throttle = await LoginThrottle.findActive(ip);
+
+	if (throttle) {
+		if (throttle.failedAttempts >= MAX_IP_ATTEMPTS) {
+			return {
+				statusCode: 429,
+				code: "TOO_MANY_ATTEMPTS",
+				message: "Too many failed sign-in attempts, please try again later",
+				retryAfter: secondsUntil(throttle.expiresAt),
+			};
+		}
+
+		const wait = delayRemaining(throttle.lastFailedAt, throttle.failedAttempts);
+		if (wait > 0) {
+			return {
+				statusCode: 429,
+				code: "LOGIN_THROTTLED",
+				message: `Please wait ${wait} seconds before trying again`,
+				retryAfter: wait,
+			};
+		}
+	}
+
+	if (user) {
+		if (user.isLocked) {
+			return lockedRejection(user);
+		}
+
+		const wait = delayRemaining(user.lastFailedLogin, user.failedLoginAttempts);
+		if (wait > 0) {
+			return {
+				statusCode: 429,
+				code: "LOGIN_THROTTLED",
+				message: `Please wait ${wait} seconds before trying again`,
+				retryAfter: wait,
+			};
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Record a failed attempt. Returns a lockout rejection when this failure
+ * locked the account, otherwise null.
+ */
+const recordFailedLogin = async (ip, user) => {
+	await LoginThrottle.recordFailure(ip, IP_WINDOW_MS);
+
+	if (!user) return null;
+
+	await user.registerFailedLogin(MAX_ACCOUNT_ATTEMPTS, LOCKOUT_MS);
+	return user.isLocked ? lockedRejection(user) : null;
+};
+
+module.exports = {
+	progressiveDelaySeconds,
+	checkLoginAllowed,
+	recordFailedLogin,
+};
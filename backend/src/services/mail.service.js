@@ -0,0 +1,197 @@
+/**
+ * MAIL SERVICE - Outbox for account and notification emails
+ *
+ * Features:
+ * - Pluggable transports (console and file built in)
+ * - Named templates for account emails
+ * - Transport selected with MAIL_TRANSPORT
+ *
+ * A transport is any object with `send(message)` returning a promise.
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:4200";
+const MAIL_FROM = process.env.MAIL_FROM || "TaskFlow <no-reply@taskflow.local>";
+
+/**
+ * Logs messages to stdout (local development)
+ */
+const consoleTransport = {
+	async send(message) {
+		console.log("📧 Mail:", JSON.stringify(message, null, 2));
+		return { id: message.id };
+	},
+};
+
+/**
+ * Writes one JSON file per message (local development and tests)
+ */
+const createFileTransport = (
+	directory = process.env.MAIL_FILE_DIR ||
+		path.join(os.tmpdir(), "taskflow-mail")
+) => ({
+	directory,
+	async send(message) {
+		await fs.mkdir(directory, { recursive: true });
+		const file = path.join(directory, `${Date.now()}-${message.id}.json`);
+		await fs.writeFile(file, JSON.stringify(message, null, 2));
+		return { id: message.id, file };
+	},
+});
+
+const transports = {
+	console: () => consoleTransport,
+	file: () => createFileTransport(),
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport factory under a name usable in MAIL_TRANSPORT
+ */
+const registerTransport = (name, factory) => {
+	transports[name] = factory;
+};
+
+/**
+ * Replace the active transport (e.g. in tests)
+ */
+const setTransport = (transport) => {
+	activeTransport = transport;
+};
+
+const getTransport = () => {
+	if (!activeTransport) {
+		const name = process.env.MAIL_TRANSPORT || "console";
+		if (!transports[name]) {
+			throw new Error(`Unknown mail transport: ${name}`);
+		}
+		activeTransport = transports[name]();
+	}
+	return activeTransport;
+};
+
+/**
+ * Email templates: each returns { subject, text }
+ */
+const templates = {
+	emailVerification: ({ user, token, expiresInHours }) => ({
+		subject: "Verify your TaskFlow email address",
+		text: [
+			`Hi ${user.firstName},`,
+			"",
+			"Welcome to TaskFlow! Please confirm your email address:",
+			`${FRONTEND_URL}/verify-email?token=${token}`,
+			"",
+			`The link expires in ${expiresInHours} hours. You can request a new one from the sign-in page.`,
+		].join("\n"),
+	}),
+	passwordReset: ({ user, token, expiresInMinutes }) => ({
+		subject: "Reset your TaskFlow password",
+		text: [
+			`Hi ${user.firstName},`,
+			"",
+			"We received a request to reset your password. Use the link below to choose a new one:",
+			`${FRONTEND_URL}/reset-password?token=${token}`,
+			"",
+			`The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+			"If you did not request this, you can ignore this email.",
+		].join("\n"),
+	}),
+	passwordChanged: ({ user }) => ({
+		subject: "Your TaskFlow password was changed",
+		text: [
+			`Hi ${user.firstName},`,
+			"",
+			"The password for your account was just changed and all sessions were signed out.",
+			"If this wasn't you, reset your password immediately.",
+		].join("\n"),
+	}),
+	notification: ({ user, notification }) => ({
+		subject: notification.title,
+		text: [
+			`Hi ${user.firstName},`,
+			"",
+			notification.message || notification.title,
+			...(notification.task
+				? ["", `${FRONTEND_URL}/tasks/${notification.task}`]
+				: []),
+			"",
+			"You can turn off notification emails in your settings.",
+		].join("\n"),
+	}),
+	dailyDigest: ({ user, overdue, dueToday, unreadNotifications }) => {
+		const listTasks = ({ tasks, total }) => [
+			...tasks.map(
+				(task) =>
+					`- ${task.title} (${task.priority}, due ${task.dueDate.toDateString()}) ${FRONTEND_URL}/tasks/${task._id}`
+			),
+			...(total > tasks.length ? [`...and ${total - tasks.length} more`] : []),
+		];
+
+		return {
+			subject: `Your TaskFlow digest: ${overdue.total} overdue, ${dueToday.total} due today`,
+			text: [
+				`Hi ${user.firstName},`,
+				"",
+				...(overdue.total
+					? [`Overdue (${overdue.total}):`, ...listTasks(overdue), ""]
+					: []),
+				...(dueToday.total
+					? [
+							`Due in the next 24 hours (${dueToday.total}):`,
+							...listTasks(dueToday),
+							"",
+						]
+					: []),
+				...(unreadNotifications
+					? [
+							`You have ${unreadNotifications} unread notifications: ${FRONTEND_URL}/notifications`,
+							"",
+						]
+					: []),
+				"You can turn off notification emails in your settings.",
+			].join("\n"),
+		};
+	},
+};
+
+/**
+ * Send a raw message through the active transport
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+	const message = {
+		id: crypto.randomUUID(),
+		from: MAIL_FROM,
+		to,
+		subject,
+		text,
+		...(html && { html }),
+		createdAt: new Date().toISOString(),
+	};
+	return getTransport().send(message);
+};
+
+/**
+ * Render a named template and send it
+ */
+const sendTemplate = async (name, to, data) => {
+	const template = templates[name];
+	if (!template) {
+		throw new Error(`Unknown mail template: ${name}`);
+	}
+	return sendMail({ to, ...template(data) });
+};
+
+module.exports = {
+	templates,
+	registerTransport,
+	setTransport,
+	createFileTransport,
+	sendMail,
+	sendTemplate,
+};
@@ -0,0 +1,297 @@
+/**
+ * NOTIFICATION SERVICE - Create notifications and deliver them
+ *
+ * Features:
+ * - Notifies assignees, mentioned users and owners of overdue tasks
+ * - Due-soon reminders and escalation of overdue urgent tasks to the
+ *   creator's manager (run by the job scheduler)
+ * - Every notification is stored for the in-app notification center
+ * - Email and push (live event stream) delivery follow the recipient's
+ *   preferences.notifications; users are never notified of their own
+ *   actions
+ */
+
+const Notification = require("../models/notification.model");
+const Task = require("../models/task.model");
+const User = require("../models/user.model");
+const { subscribe } = require("./event.service");
+const { sendTemplate } = require("./mail.service");
+const { publishToUser } = require("./realtime.service");
+const { canViewTask } = require("../utils/task-access.util");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Hours before the due date at which assignees are reminded
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || "24,1")
+	.split(",")
+	.map((hours) => parseFloat(hours))
+	.filter((hours) => hours > 0);
+// Hours an urgent task may be overdue before it is escalated
+const ESCALATION_GRACE_HOURS =
+	parseFloat(process.env.ESCALATION_GRACE_HOURS) || 0;
+// Tasks handled per run
+const BATCH_SIZE = 200;
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// Task titles are shortened so notification titles stay within limits
+const quote = (title) =>
+	`"${title.length > 120 ? `${title.slice(0, 119)}…` : title}"`;
+
+const fullName = (user) =>
+	user ? `${user.firstName} ${user.lastName}` : "Someone";
+
+/**
+ * Delivery channels: each sends a saved notification to a user
+ */
+const channels = {
+	email: (user, notification) =>
+		sendTemplate("notification", user.email, { user, notification }),
+	push: async (user, notification) =>
+		publishToUser(user._id, "notification", notification.toJSON()),
+};
+
+/**
+ * Store a notification for a user and send it through the channels the
+ * user has enabled. Returns the notification, or null when nothing was
+ * sent (the user caused the change, or is missing or inactive).
+ */
+const notify = async (userId, { type, title, message, task, actor }) => {
+	if (!userId || sameId(userId, actor)) return null;
+
+	const user = await User.findById(userId).select(
+		"firstName lastName email isActive preferences"
+	);
+	if (!user || !user.isActive) return null;
+
+	const notification = await Notification.create({
+		user: user._id,
+		type,
+		title,
+		message,
+		task,
+		actor,
+	});
+
+	const preferences =
+		(user.preferences && user.preferences.notifications) || {};
+	for (const [channel, send] of Object.entries(channels)) {
+		if (!preferences[channel]) continue;
+		try {
+			await send(user, notification);
+			notification.channels.push(channel);
+		} catch (error) {
+			console.error(`Notification ${channel} delivery failed:`, error);
+		}
+	}
+
+	if (notification.channels.length) await notification.save();
+	return notification;
+};
+
+const findActor = (actorId) =>
+	actorId ? User.findById(actorId).select("firstName lastName") : null;
+
+/**
+ * Notify the new assignee of a task
+ */
+const notifyAssignment = async (event) => {
+	const { task, to } = event.data;
+	if (!to || sameId(to, event.actor)) return;
+
+	const actor = await findActor(event.actor);
+	await notify(to, {
+		type: "task_assigned",
+		title: `You were assigned ${quote(task.title)}`,
+		message: `${fullName(actor)} assigned you the task ${quote(task.title)}.`,
+		task: task._id,
+		actor: event.actor,
+	});
+};
+
+/**
+ * Notify users mentioned in a new comment who can see the task (the
+ * notification quotes the comment)
+ */
+const notifyMentions = async (event) => {
+	const { task, comment } = event.data;
+	const mentions = (comment && comment.mentions) || [];
+	if (!mentions.length) return;
+
+	const users = await User.find({ _id: { $in: mentions }, isActive: true });
+	const actor = await findActor(event.actor);
+	for (const user of users) {
+		if (!(await canViewTask(user, task))) continue;
+
+		await notify(user._id, {
+			type: "mentioned",
+			title: `You were mentioned on ${quote(task.title)}`,
+			message: `${fullName(actor)} mentioned you: ${comment.content}`,
+			task: task._id,
+			actor: event.actor,
+		});
+	}
+};
+
+const eventHandlers = {
+	"task.assigned": notifyAssignment,
+	"task.commented": notifyMentions,
+};
+
+const handleEvent = async (event) => {
+	const handler = eventHandlers[event.type];
+	if (handler) await handler(event);
+};
+
+/**
+ * Notify the owners (assignee and creator) of tasks that became overdue.
+ * Each due date is announced once; claiming the task first keeps several
+ * server instances from sending the same notification. Returns the
+ * number of tasks handled.
+ */
+const notifyOverdueTasks = async () => {
+	const tasks = await Task.find({
+		...Task.openCriteria(),
+		dueDate: { $lt: new Date() },
+		$expr: { $ne: ["$overdueNotifiedFor", "$dueDate"] },
+	})
+		.select("+overdueNotifiedFor title dueDate assignedTo createdBy")
+		.limit(BATCH_SIZE);
+
+	let handled = 0;
+	for (const task of tasks) {
+		const claim = await Task.updateOne(
+			{ _id: task._id, overdueNotifiedFor: task.overdueNotifiedFor },
+			{ $set: { overdueNotifiedFor: task.dueDate } }
+		);
+		if (!claim.modifiedCount) continue;
+
+		const owners = [task.assignedTo, task.createdBy].filter(
+			(id, index, ids) =>
+				id && ids.findIndex((other) => sameId(other, id)) === index
+		);
+		for (const userId of owners) {
+			await notify(userId, {
+				type: "task_overdue",
+				title: `${quote(task.title)} is overdue`,
+				message: `The task ${quote(task.title)} was due on ${task.dueDate.toDateString()}.`,
+				task: task._id,
+			});
+		}
+		handled += 1;
+	}
+
+	return handled;
+};
+
+const formatHours = (hours) => (hours === 1 ? "1 hour" : `${hours} hours`);
+
+/**
+ * Remind assignees of open tasks due within each REMINDER_OFFSETS_HOURS
+ * offset, once per offset and due date. Returns the reminders sent.
+ */
+const sendDueSoonReminders = async () => {
+	if (!REMINDER_OFFSETS_HOURS.length) return 0;
+
+	const now = new Date();
+	let sent = 0;
+
+	// Largest offset first, so a task entering several windows at once
+	// only gets the most urgent reminder
+	const offsets = [...REMINDER_OFFSETS_HOURS].sort((a, b) => b - a);
+	const windowEnd = new Date(now.getTime() + offsets[0] * HOUR_MS);
+	const tasks = await Task.find({
+		...Task.openCriteria(),
+		dueDate: { $gt: now, $lte: windowEnd },
+	})
+		.select("+remindersSent title dueDate assignedTo")
+		.sort({ dueDate: 1 })
+		.limit(BATCH_SIZE);
+
+	for (const task of tasks) {
+		const hoursLeft = (task.dueDate - now) / HOUR_MS;
+		const offset = offsets.filter((hours) => hoursLeft <= hours).pop();
+		const keys = offsets
+			.filter((hours) => hours >= offset)
+			.map((hours) => `${hours}h@${task.dueDate.getTime()}`);
+		const missing = keys.filter((key) => !task.remindersSent.includes(key));
+		if (!missing.length) continue;
+
+		const claim = await Task.updateOne(
+			{ _id: task._id, remindersSent: { $nin: missing } },
+			{ $push: { remindersSent: { $each: missing, $slice: -20 } } }
+		);
+		if (!claim.modifiedCount) continue;
+
+		await notify(task.assignedTo, {
+			type: "task_due_soon",
+			title: `${quote(task.title)} is due soon`,
+			message: `The task ${quote(task.title)} is due within ${formatHours(offset)}.`,
+			task: task._id,
+		});
+		sent += 1;
+	}
+
+	return sent;
+};
+
+/**
+ * Alert the manager of the creator of each open urgent task that is
+ * overdue by more than ESCALATION_GRACE_HOURS, once per due date.
+ * Returns how many tasks were escalated and how many had no manager.
+ */
+const escalateOverdueTasks = async () => {
+	const cutoff = new Date(Date.now() - ESCALATION_GRACE_HOURS * HOUR_MS);
+	const tasks = await Task.find({
+		...Task.openCriteria(),
+		priority: "urgent",
+		dueDate: { $lt: cutoff },
+		$expr: { $ne: ["$escalatedFor", "$dueDate"] },
+	})
+		.select("+escalatedFor title dueDate assignedTo createdBy")
+		.populate("createdBy", "firstName lastName manager")
+		.populate("assignedTo", "firstName lastName")
+		.limit(BATCH_SIZE);
+
+	const result = { escalated: 0, withoutManager: 0 };
+	for (const task of tasks) {
+		const claim = await Task.updateOne(
+			{ _id: task._id, escalatedFor: task.escalatedFor },
+			{ $set: { escalatedFor: task.dueDate } }
+		);
+		if (!claim.modifiedCount) continue;
+
+		const manager = task.createdBy && task.createdBy.manager;
+		if (!manager) {
+			result.withoutManager += 1;
+			continue;
+		}
+
+		await notify(manager, {
+			type: "task_escalated",
+			title: `Urgent task ${quote(task.title)} is overdue`,
+			message: `The urgent task ${quote(task.title)} created by ${fullName(task.createdBy)} and assigned to ${fullName(task.assignedTo)} was due on ${task.dueDate.toDateString()}.`,
+			task: task._id,
+		});
+		result.escalated += 1;
+	}
+
+	return result;
+};
+
+let unsubscribe = null;
+
+/**
+ * Create notifications for domain events (assignments and mentions)
+ */
+const startNotificationWorker = () => {
+	if (!unsubscribe) unsubscribe = subscribe(handleEvent);
+};
+
+module.exports = {
+	channels,
+	notify,
+	notifyOverdueTasks,
+	sendDueSoonReminders,
+	escalateOverdueTasks,
+	startNotificationWorker,
+};
@@ -0,0 +1,74 @@
+/**
+ * PERMISSION SERVICE - Resolve effective permissions for users
+ *
+ * Features:
+ * - Role lookups with a short in-process cache
+ * - Fallback to built-in defaults when a role document is missing
+ * - Per-request memoization on the user document
+ */
+
+const Role = require("../models/role.model");
+const {
+	PERMISSIONS,
+	ALL_PERMISSIONS,
+	BUILT_IN_ROLES,
+} = require("../config/permissions");
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Permissions granted to a role name ("*" expanded to every permission)
+ */
+const getRolePermissions = async (roleName) => {
+	const cached = cache.get(roleName);
+	if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+		return cached.permissions;
+	}
+
+	const role = await Role.findByName(roleName);
+	const granted = role
+		? role.permissions
+		: (BUILT_IN_ROLES[roleName] || { permissions: [] }).permissions;
+
+	const permissions = granted.includes(ALL_PERMISSIONS)
+		? Object.keys(PERMISSIONS)
+		: [...granted];
+
+	cache.set(roleName, { permissions, at: Date.now() });
+	return permissions;
+};
+
+/**
+ * Drop cached role permissions (after roles are edited)
+ */
+const invalidateRoleCache = (roleName) => {
+	if (roleName) {
+		cache.delete(roleName);
+	} else {
+		cache.clear();
+	}
+};
+
+/**
+ * Effective permissions of a user, memoized for the request
+ */
+const getUserPermissions = async (user) => {
+	if (!user.$locals.permissions) {
+		user.$locals.permissions = await getRolePermissions(user.role);
+	}
+	return user.$locals.permissions;
+};
+
+/**
+ * Whether a user holds a permission
+ */
+const hasPermission = async (user, permission) =>
+	(await getUserPermissions(user)).includes(permission);
+
+module.exports = {
+	getRolePermissions,
+	invalidateRoleCache,
+	getUserPermissions,
+	hasPermission,
+};
@@ -0,0 +1,175 @@
+/**
+ * REALTIME SERVICE - Push task and product events to connected clients
+ *
+ * Features:
+ * - Server-Sent Events fan-out of domain events
+ * - Per-client visibility filtering with the task access rules
+ * - Replay buffer so reconnecting clients resume after Last-Event-ID
+ * - Events addressed to a single user (e.g. notifications)
+ */
+
+const crypto = require("crypto");
+const { EVENT_TYPES, subscribe } = require("./event.service");
+const { hasPermission } = require("./permission.service");
+const { canViewTask } = require("../utils/task-access.util");
+
+const REPLAY_SIZE = parseInt(process.env.REALTIME_REPLAY_SIZE, 10) || 1000;
+const HEARTBEAT_MS =
+	(parseInt(process.env.REALTIME_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+const MAX_CONNECTIONS_PER_USER =
+	parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER, 10) || 5;
+const RETRY_MS = 5000;
+
+// Event types sent to clients
+const STREAM_EVENT_TYPES = EVENT_TYPES.filter(
+	(type) => type.startsWith("task.") || type.startsWith("product.")
+);
+
+// Event types addressed to a single user
+const USER_EVENT_TYPES = ["notification"];
+
+const recent = [];
+const clients = new Set();
+let unsubscribe = null;
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Whether a user may receive an event
+ */
+const canReceive = async (user, event) => {
+	if (event.recipient) return sameId(event.recipient, user._id);
+	if (event.type.startsWith("product.")) {
+		return hasPermission(user, "product:read");
+	}
+
+	const { task, from } = event.data;
+	// The previous assignee learns that the task left their list
+	if (event.type === "task.assigned" && sameId(from, user._id)) return true;
+	return canViewTask(user, task);
+};
+
+const formatMessage = ({ id, type, ...fields }) =>
+	`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ id, type, ...fields })}\n\n`;
+
+const send = async (client, event) => {
+	if (client.types && !client.types.includes(event.type)) return;
+	if (!(await canReceive(client.user, event))) return;
+	client.res.write(formatMessage(event));
+};
+
+// Deliver in publication order even though visibility checks are async
+const enqueue = (client, event) => {
+	client.queue = client.queue
+		.then(() => send(client, event))
+		.catch((error) => {
+			console.error("Realtime delivery failed:", error);
+		});
+};
+
+const dispatch = (event) => {
+	recent.push(event);
+	if (recent.length > REPLAY_SIZE) recent.shift();
+
+	clients.forEach((client) => enqueue(client, event));
+};
+
+const broadcast = (event) => {
+	if (STREAM_EVENT_TYPES.includes(event.type)) dispatch(event);
+};
+
+/**
+ * Send an event only to the streams of one user
+ */
+const publishToUser = (userId, type, data) =>
+	dispatch({
+		id: crypto.randomUUID(),
+		type,
+		occurredAt: new Date().toISOString(),
+		recipient: userId.toString(),
+		data,
+	});
+
+/**
+ * Start buffering and broadcasting domain events
+ */
+const startRealtimeFeed = () => {
+	if (!unsubscribe) unsubscribe = subscribe(broadcast);
+};
+
+const connectionCount = (user) =>
+	[...clients].filter((client) => sameId(client.user._id, user._id)).length;
+
+/**
+ * Turn a response into an event stream for `user`. Events after
+ * `lastEventId` are replayed; when it is no longer buffered a "reset"
+ * event tells the client to reload its data. `types` optionally limits
+ * the event types sent. The stream ends when the access token expires.
+ */
+const openStream = (req, res, { user, lastEventId, types }) => {
+	res.status(200).set({
+		"Content-Type": "text/event-stream; charset=utf-8",
+		"Cache-Control": "no-cache, no-transform",
+		Connection: "keep-alive",
+		"X-Accel-Buffering": "no",
+	});
+	res.flushHeaders();
+	res.write(`retry: ${RETRY_MS}\n\n`);
+
+	const client = { user, res, types, queue: Promise.resolve() };
+
+	if (lastEventId) {
+		const index = recent.findIndex((event) => event.id === lastEventId);
+		if (index === -1) {
+			res.write(
+				formatMessage({
+					id: lastEventId,
+					type: "reset",
+					reason: "Missed events are no longer available",
+				})
+			);
+		} else {
+			recent.slice(index + 1).forEach((event) => enqueue(client, event));
+		}
+	}
+	clients.add(client);
+
+	const heartbeat = setInterval(() => {
+		// Permissions, team and project membership are memoized on the
+		// user; drop them so membership changes reach open streams
+		delete user.$locals.permissions;
+		delete user.$locals.teamMemberIds;
+		delete user.$locals.projectRoles;
+		res.write(": ping\n\n");
+	}, HEARTBEAT_MS);
+	const expiresIn = user.$locals.tokenExpiresAt
+		? user.$locals.tokenExpiresAt.getTime() - Date.now()
+		: null;
+	// Clients reconnect with a fresh access token
+	const expiry =
+		expiresIn !== null &&
+		setTimeout(
+			() => {
+				res.write("event: token_expired\ndata: {}\n\n");
+				res.end();
+			},
+			Math.max(0, expiresIn)
+		);
+
+	req.on("close", () => {
+		clearInterval(heartbeat);
+		if (expiry) clearTimeout(expiry);
+		clients.delete(client);
+	});
+};
+
+module.exports = {
+	STREAM_EVENT_TYPES,
+	USER_EVENT_TYPES,
+	MAX_CONNECTIONS_PER_USER,
+	canReceive,
+	connectionCount,
+	startRealtimeFeed,
+	publishToUser,
+	openStream,
+};
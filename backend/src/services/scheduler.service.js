@@ -0,0 +1,212 @@
+/**
+ * SCHEDULER SERVICE - In-process runner for recurring background jobs
+ *
+ * Features:
+ * - Jobs run every N milliseconds or daily at a UTC time
+ * - Job state (next run, last outcome) is persisted in MongoDB
+ * - A lease on the job document keeps several server instances from
+ *   running the same job at once
+ * - Jobs can be triggered manually
+ *
+ * A job definition is { name, description, every | dailyAt, handler };
+ * `handler()` returns a JSON-serializable summary of the run.
+ */
+
+const crypto = require("crypto");
+const os = require("os");
+const Job = require("../models/job.model");
+const { AppError } = require("../middleware/error.middleware");
+
+const POLL_INTERVAL_MS =
+	(parseInt(process.env.SCHEDULER_POLL_SECONDS, 10) || 30) * 1000;
+// Longest a run may hold its lease before another instance may take over
+const LEASE_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+	.randomBytes(3)
+	.toString("hex")}`;
+
+const definitions = new Map();
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+const parseTimeOfDay = (value) => {
+	const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+	if (!match) throw new Error(`Invalid time of day: ${value}`);
+	return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * First scheduled run of a job strictly after `from`
+ */
+const nextRunTime = (definition, from = new Date()) => {
+	if (definition.every) {
+		return new Date(from.getTime() + definition.every);
+	}
+
+	const minutes = parseTimeOfDay(definition.dailyAt);
+	const next = new Date(from);
+	next.setUTCHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+	if (next <= from) next.setTime(next.getTime() + DAY_MS);
+	return next;
+};
+
+const describeSchedule = (definition) =>
+	definition.every
+		? `every ${Math.round(definition.every / 60000)} minutes`
+		: `daily at ${definition.dailyAt} UTC`;
+
+/**
+ * Register job definitions
+ */
+const defineJobs = (jobs) => {
+	jobs.forEach((definition) => {
+		if (!definition.every) parseTimeOfDay(definition.dailyAt);
+		definitions.set(definition.name, definition);
+	});
+};
+
+/**
+ * Create state documents for jobs that have none yet
+ */
+const ensureJobs = async () => {
+	for (const definition of definitions.values()) {
+		try {
+			await Job.updateOne(
+				{ name: definition.name },
+				{ $setOnInsert: { nextRunAt: nextRunTime(definition) } },
+				{ upsert: true }
+			);
+		} catch (error) {
+			// Another instance created it first
+			if (error.code !== 11000) throw error;
+		}
+	}
+};
+
+const getDefinition = (name) => {
+	const definition = definitions.get(name);
+	if (!definition) {
+		throw new AppError("Job not found", 404);
+	}
+	return definition;
+};
+
+/**
+ * Run a job now if no other instance is running it. Scheduled runs
+ * (`due`) only start once the job's next run time has passed and move
+ * it forward; manual runs leave the schedule as it is. Returns the
+ * updated job state, or null when a scheduled run was not started.
+ */
+const runJob = async (name, { due = false, triggeredBy = null } = {}) => {
+	const definition = getDefinition(name);
+	const job = await Job.acquire(name, INSTANCE_ID, LEASE_MS, { due });
+	if (!job) {
+		if (due) return null;
+		throw new AppError("Job is already running", 409, "JOB_RUNNING");
+	}
+
+	const started = Date.now();
+	const update = {
+		$set: {
+			lockedUntil: null,
+			lockedBy: null,
+			lastTriggeredBy: triggeredBy,
+		},
+		$inc: { runCount: 1 },
+	};
+
+	try {
+		update.$set.lastResult = (await definition.handler()) ?? null;
+		update.$set.status = "succeeded";
+		update.$set.lastError = null;
+	} catch (error) {
+		console.error(`Job ${name} failed:`, error);
+		update.$set.status = "failed";
+		update.$set.lastError = error.message;
+		update.$inc.failureCount = 1;
+	}
+
+	update.$set.lastFinishedAt = new Date();
+	update.$set.lastDurationMs = Date.now() - started;
+	if (due) update.$set.nextRunAt = nextRunTime(definition);
+
+	return Job.findOneAndUpdate({ _id: job._id, lockedBy: INSTANCE_ID }, update, {
+		new: true,
+	});
+};
+
+/**
+ * Registered jobs with their schedule and persisted state
+ */
+const listJobs = async () => {
+	const states = await Job.find({ name: { $in: [...definitions.keys()] } });
+	const byName = new Map(states.map((state) => [state.name, state]));
+
+	return [...definitions.values()].map((definition) => ({
+		name: definition.name,
+		description: definition.description,
+		schedule: describeSchedule(definition),
+		state: byName.get(definition.name) || null,
+	}));
+};
+
+/**
+ * Describe one registered job (404 AppError if unknown)
+ */
+const getJob = async (name) => {
+	const definition = getDefinition(name);
+	return {
+		name: definition.name,
+		description: definition.description,
+		schedule: describeSchedule(definition),
+		state: await Job.findOne({ name }),
+	};
+};
+
+let timer = null;
+
+/**
+ * Start running due jobs in the background
+ */
+const startScheduler = async () => {
+	if (timer) return;
+
+	await ensureJobs();
+	let running = false;
+
+	const tick = async () => {
+		if (running) return;
+		running = true;
+		try {
+			for (const name of definitions.keys()) {
+				await runJob(name, { due: true });
+			}
+		} catch (error) {
+			console.error("Scheduler tick failed:", error);
+		} finally {
+			running = false;
+		}
+	};
+
+	timer = setInterval(tick, POLL_INTERVAL_MS);
+	timer.unref();
+};
+
+const stopScheduler = () => {
+	clearInterval(timer);
+	timer = null;
+};
+
+module.exports = {
+	INSTANCE_ID,
+	nextRunTime,
+	defineJobs,
+	runJob,
+	listJobs,
+	getJob,
+	startScheduler,
+	stopScheduler,
+};
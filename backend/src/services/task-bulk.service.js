@@ -0,0 +1,216 @@
+/**
+ * TASK BULK SERVICE - Apply one operation to many tasks
+ *
+ * Features:
+ * - Operations: reassign, reprioritize, retag, close, delete
+ * - Same authorization and validation as single-task updates, per task
+ * - Per-item results, or all-or-nothing inside a MongoDB transaction
+ *   (task events are published only after it commits)
+ */
+
+const mongoose = require("mongoose");
+const { AppError } = require("../middleware/error.middleware");
+const {
+	assertCanUpdateTask,
+	assertCanDeleteTask,
+} = require("../utils/task-access.util");
+const { assertCanComplete } = require("../utils/task-hierarchy.util");
+const { assertNotBlocked } = require("../utils/task-dependency.util");
+const { snapshot } = require("./audit.service");
+const { flushSessionEvents } = require("./event.service");
+
+const BULK_OPERATIONS = [
+	"reassign",
+	"reprioritize",
+	"retag",
+	"close",
+	"delete",
+];
+const MAX_BULK_TASKS = 500;
+
+/**
+ * Apply `operation` to one task and persist it (in `session` when set).
+ * Returns `{ action, before, after }` for auditing; throws on failure.
+ */
+const applyOperation = async (task, operation, params, user, session) => {
+	const before = snapshot(task);
+	task.setActor(user._id);
+
+	switch (operation) {
+		case "reassign":
+			await assertCanUpdateTask(user, task, { assignedTo: params.assignedTo });
+			task.assignedTo = params.assignedTo;
+			break;
+		case "reprioritize":
+			await assertCanUpdateTask(user, task, { priority: params.priority });
+			task.priority = params.priority;
+			break;
+		case "retag": {
+			await assertCanUpdateTask(user, task, { tags: [] });
+			const remove = params.remove || [];
+			const tags = params.set || task.tags;
+			task.tags = [
+				...new Set(
+					[...tags, ...(params.add || [])].filter((t) => !remove.includes(t))
+				),
+			];
+			break;
+		}
+		case "close": {
+			const status = params.status || "completed";
+			await assertCanUpdateTask(user, task, { status });
+			await assertNotBlocked(task, status);
+			if (status === "completed" && task.status !== "completed") {
+				await assertCanComplete(task, params.force === true);
+			}
+			task.status = status;
+			break;
+		}
+		case "delete":
+			await assertCanDeleteTask(user, task);
+			await task.deleteOne({ session });
+			return { action: "delete", before, after: null };
+		default:
+			throw new AppError(`Unknown bulk operation "${operation}"`, 400);
+	}
+
+	await task.save({ session });
+	return { action: "update", before, after: task };
+};
+
+/**
+ * Turn an error thrown for one task into a per-item failure result
+ * (unexpected errors are rethrown)
+ */
+const toFailure = (id, error) => {
+	if (error instanceof AppError) {
+		return {
+			id,
+			success: false,
+			status: error.statusCode,
+			message: error.message,
+			...(error.code && { code: error.code }),
+		};
+	}
+	if (
+		error instanceof mongoose.Error.ValidationError ||
+		error instanceof mongoose.Error.CastError
+	) {
+		return { id, success: false, status: 400, message: error.message };
+	}
+	throw error;
+};
+
+/**
+ * Run a bulk operation. `tasks` are loaded documents; `missingIds` are
+ * requested IDs that matched nothing. Returns
+ * `{ committed, results, changes }` where `changes` lists the successful
+ * `{ action, before, after }` entries for auditing.
+ */
+const runBulkOperation = async (
+	tasks,
+	{ operation, params = {}, user, atomic = false, missingIds = [] }
+) => {
+	const notFound = missingIds.map((id) => ({
+		id,
+		success: false,
+		status: 404,
+		message: "Task not found",
+	}));
+
+	if (!atomic) {
+		const results = [...notFound];
+		const changes = [];
+
+		for (const task of tasks) {
+			try {
+				const change = await applyOperation(task, operation, params, user);
+				changes.push(change);
+				results.push({ id: task._id, success: true, action: change.action });
+			} catch (error) {
+				results.push(toFailure(task._id, error));
+			}
+		}
+
+		return { committed: changes.length > 0, results, changes };
+	}
+
+	if (notFound.length) {
+		return { committed: false, results: notFound, changes: [] };
+	}
+
+	const session = await mongoose.startSession();
+	const changes = [];
+	let failure = null;
+
+	try {
+		session.startTransaction();
+
+		for (const task of tasks) {
+			task.$session(session);
+			try {
+				changes.push(
+					await applyOperation(task, operation, params, user, session)
+				);
+			} catch (error) {
+				failure = toFailure(task._id, error);
+				break;
+			}
+		}
+
+		if (failure) {
+			await session.abortTransaction();
+		} else {
+			await session.commitTransaction();
+		}
+		// Task events are only announced once the changes are durable
+		flushSessionEvents(session, { discard: Boolean(failure) });
+	} catch (error) {
+		if (session.inTransaction()) await session.abortTransaction();
+		flushSessionEvents(session, { discard: true });
+		// Standalone servers reject transactions (IllegalOperation)
+		if (error.code === 20) {
+			throw new AppError(
+				"All-or-nothing mode needs MongoDB running as a replica set",
+				501,
+				"TRANSACTIONS_UNSUPPORTED"
+			);
+		}
+		throw error;
+	} finally {
+		session.endSession();
+	}
+
+	if (failure) {
+		return {
+			committed: false,
+			results: tasks.map((task) =>
+				task._id.equals(failure.id)
+					? failure
+					: {
+							id: task._id,
+							success: false,
+							status: 409,
+							message: "Rolled back",
+						}
+			),
+			changes: [],
+		};
+	}
+
+	return {
+		committed: true,
+		results: changes.map((change, i) => ({
+			id: tasks[i]._id,
+			success: true,
+			action: change.action,
+		})),
+		changes,
+	};
+};
+
+module.exports = {
+	BULK_OPERATIONS,
+	MAX_BULK_TASKS,
+	runBulkOperation,
+};
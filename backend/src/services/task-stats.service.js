@@ -0,0 +1,171 @@
+/**
+ * TASK STATS SERVICE - Dashboard aggregations over a set of tasks
+ *
+ * Features:
+ * - Counts by status, priority, category and assignee
+ * - Overdue count and completion rate
+ * - Average cycle time (createdAt -> completedAt)
+ * - Weekly created vs completed trend
+ */
+
+const Task = require("../models/task.model");
+
+const DEFAULT_TREND_WEEKS = 12;
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+/**
+ * Monday 00:00 UTC of the week containing `date`
+ */
+const startOfWeek = (date) => {
+	const result = new Date(
+		Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+	);
+	result.setUTCDate(result.getUTCDate() - ((result.getUTCDay() + 6) % 7));
+	return result;
+};
+
+const toCounts = (rows) =>
+	rows.reduce((counts, row) => {
+		counts[row._id] = row.count;
+		return counts;
+	}, {});
+
+const weekBucket = (field) => ({
+	$dateTrunc: { date: `$${field}`, unit: "week", startOfWeek: "monday" },
+});
+
+/**
+ * Aggregate statistics for the tasks matching `filter` (a task list
+ * filter, already scoped to what the caller may see)
+ */
+const getTaskStats = async (filter, { weeks = DEFAULT_TREND_WEEKS } = {}) => {
+	const now = new Date();
+	const trendStart = new Date(
+		startOfWeek(now).getTime() - (weeks - 1) * WEEK_MS
+	);
+	const overdue = Task.overdueCriteria();
+
+	const [result] = await Task.aggregate([
+		{ $match: Task.where().cast(Task, filter) },
+		{
+			$facet: {
+				total: [{ $count: "count" }],
+				byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+				byPriority: [{ $group: { _id: "$priority", count: { $sum: 1 } } }],
+				byCategory: [{ $group: { _id: "$category", count: { $sum: 1 } } }],
+				byAssignee: [
+					{
+						$group: {
+							_id: "$assignedTo",
+							count: { $sum: 1 },
+							completed: {
+								$sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+							},
+							overdue: {
+								$sum: {
+									$cond: [
+										{
+											$and: [
+												{ $lt: ["$dueDate", now] },
+												{ $ne: ["$status", "completed"] },
+											],
+										},
+										1,
+										0,
+									],
+								},
+							},
+						},
+					},
+					{ $sort: { count: -1 } },
+					{
+						$lookup: {
+							from: "users",
+							localField: "_id",
+							foreignField: "_id",
+							as: "user",
+							pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+						},
+					},
+					{ $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+				],
+				overdue: [{ $match: overdue }, { $count: "count" }],
+				cycleTime: [
+					{ $match: { status: "completed", completedAt: { $ne: null } } },
+					{
+						$group: {
+							_id: null,
+							count: { $sum: 1 },
+							averageMs: {
+								$avg: { $subtract: ["$completedAt", "$createdAt"] },
+							},
+						},
+					},
+				],
+				created: [
+					{ $match: { createdAt: { $gte: trendStart } } },
+					{ $group: { _id: weekBucket("createdAt"), count: { $sum: 1 } } },
+				],
+				completed: [
+					{ $match: { completedAt: { $gte: trendStart } } },
+					{ $group: { _id: weekBucket("completedAt"), count: { $sum: 1 } } },
+				],
+			},
+		},
+	]);
+
+	const total = result.total[0] ? result.total[0].count : 0;
+	const byStatus = toCounts(result.byStatus);
+	const completed = byStatus.completed || 0;
+	// Cancelled tasks are left out of the completion rate
+	const countable = total - (byStatus.cancelled || 0);
+	const cycle = result.cycleTime[0];
+
+	const created = new Map(
+		result.created.map((row) => [row._id.getTime(), row.count])
+	);
+	const closed = new Map(
+		result.completed.map((row) => [row._id.getTime(), row.count])
+	);
+	const trend = [];
+	for (let i = 0; i < weeks; i++) {
+		const week = new Date(trendStart.getTime() + i * WEEK_MS);
+		trend.push({
+			week,
+			created: created.get(week.getTime()) || 0,
+			completed: closed.get(week.getTime()) || 0,
+		});
+	}
+
+	return {
+		total,
+		byStatus,
+		byPriority: toCounts(result.byPriority),
+		byCategory: toCounts(result.byCategory),
+		byAssignee: result.byAssignee.map((row) => ({
+			user: row.user || { _id: row._id },
+			count: row.count,
+			completed: row.completed,
+			overdue: row.overdue,
+		})),
+		overdue: result.overdue[0] ? result.overdue[0].count : 0,
+		completionRate: countable
+			? Math.round((completed / countable) * 10000) / 10000
+			: 0,
+		averageCycleTime: cycle
+			? {
+					ms: Math.round(cycle.averageMs),
+					hours: Math.round((cycle.averageMs / HOUR_MS) * 100) / 100,
+					tasks: cycle.count,
+				}
+			: null,
+		trend,
+	};
+};
+
+module.exports = {
+	DEFAULT_TREND_WEEKS,
+	startOfWeek,
+	getTaskStats,
+};
@@ -0,0 +1,361 @@
+/**
+ * TASK TRANSFER SERVICE - Task export and CSV import
+ *
+ * Features:
+ * - Streaming CSV, JSON and NDJSON export with assignee emails
+ * - CSV import with column mapping, assignee lookup by email, project
+ *   access checks and per-row validation against the task model
+ * - Dry-run preview without writing
+ */
+
+const { once } = require("events");
+const mongoose = require("mongoose");
+const Task = require("../models/task.model");
+const User = require("../models/user.model");
+const { AppError } = require("../middleware/error.middleware");
+const { assertCanUseProject } = require("../utils/project-access.util");
+const {
+	parseCsv,
+	unguardCsvField,
+	formatCsvRow,
+} = require("../utils/csv.util");
+
+const EXPORT_FORMATS = {
+	csv: "text/csv; charset=utf-8",
+	json: "application/json; charset=utf-8",
+	ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+const EXPORT_FIELDS = [
+	"id",
+	"title",
+	"description",
+	"status",
+	"customStatus",
+	"priority",
+	"category",
+	"tags",
+	"project",
+	"assignedTo",
+	"createdBy",
+	"dueDate",
+	"completedAt",
+	"estimatedHours",
+	"actualHours",
+	"progress",
+	"isPublic",
+	"createdAt",
+	"updatedAt",
+];
+
+const IMPORT_FIELDS = [
+	"title",
+	"description",
+	"status",
+	"priority",
+	"category",
+	"tags",
+	"project",
+	"assignedTo",
+	"dueDate",
+	"estimatedHours",
+	"progress",
+	"isPublic",
+];
+
+// Extra header names recognised without an explicit mapping
+const HEADER_ALIASES = {
+	assignedTo: ["assignee", "assignee email", "assigned to", "owner"],
+	dueDate: ["due", "due date"],
+	estimatedHours: ["estimate", "estimated hours"],
+};
+
+const MAX_IMPORT_ROWS = 1000;
+const PREVIEW_ROWS = 20;
+
+/**
+ * Flat export record of a task whose assignedTo/createdBy are populated
+ */
+const toExportRecord = (task) => ({
+	id: task._id.toString(),
+	title: task.title,
+	description: task.description,
+	status: task.status,
+	customStatus: task.customStatus,
+	priority: task.priority,
+	category: task.category,
+	tags: task.tags,
+	project: task.project ? task.project.toString() : null,
+	assignedTo: task.assignedTo ? task.assignedTo.email : null,
+	createdBy: task.createdBy ? task.createdBy.email : null,
+	dueDate: task.dueDate,
+	completedAt: task.completedAt,
+	estimatedHours: task.estimatedHours,
+	actualHours: task.actualHours,
+	progress: task.progress,
+	isPublic: task.isPublic,
+	createdAt: task.createdAt,
+	updatedAt: task.updatedAt,
+});
+
+/**
+ * Stream the tasks of a query cursor to `res` in the given format,
+ * respecting backpressure. Errors after the first byte abort the
+ * response since no JSON error can be sent any more.
+ */
+const streamExport = async (res, cursor, format) => {
+	const write = async (chunk) => {
+		if (!res.write(chunk)) await once(res, "drain");
+	};
+
+	try {
+		let first = true;
+
+		if (format === "csv") await write(formatCsvRow(EXPORT_FIELDS));
+		if (format === "json") await write("[");
+
+		for await (const task of cursor) {
+			if (res.destroyed) break;
+			const record = toExportRecord(task);
+
+			if (format === "csv") {
+				await write(
+					formatCsvRow(
+						EXPORT_FIELDS.map((field) =>
+							field === "tags" ? record.tags.join(";") : record[field]
+						)
+					)
+				);
+			} else if (format === "json") {
+				await write(`${first ? "" : ","}\n${JSON.stringify(record)}`);
+			} else {
+				await write(`${JSON.stringify(record)}\n`);
+			}
+			first = false;
+		}
+
+		if (format === "json") await write("\n]\n");
+		res.end();
+	} catch (error) {
+		console.error("Task export failed:", error);
+		res.destroy(error);
+	} finally {
+		await cursor.close();
+	}
+};
+
+/**
+ * Map CSV header names to task fields. `mapping` ({ field: header })
+ * overrides the defaults (header equals field name or a known alias,
+ * case-insensitive).
+ */
+const resolveColumns = (headers, mapping = {}) => {
+	const normalized = headers.map((h) => h.trim().toLowerCase());
+	const columns = {};
+
+	Object.entries(mapping).forEach(([field, header]) => {
+		if (!IMPORT_FIELDS.includes(field)) {
+			throw new AppError(`Cannot import into field "${field}"`, 400);
+		}
+		const index = normalized.indexOf(String(header).trim().toLowerCase());
+		if (index === -1) {
+			throw new AppError(`Column "${header}" not found in the CSV header`, 400);
+		}
+		columns[field] = index;
+	});
+
+	IMPORT_FIELDS.forEach((field) => {
+		if (columns[field] !== undefined) return;
+		const names = [field.toLowerCase(), ...(HEADER_ALIASES[field] || [])];
+		const index = normalized.findIndex((h) => names.includes(h));
+		if (index !== -1) columns[field] = index;
+	});
+
+	return columns;
+};
+
+/**
+ * Convert raw CSV strings into task field values
+ * (empty cells are left out so model defaults apply)
+ */
+const convertRow = (values) => {
+	const data = {};
+
+	Object.entries(values).forEach(([field, raw]) => {
+		const value = raw.trim();
+		if (value === "") return;
+
+		switch (field) {
+			case "tags":
+				data.tags = value
+					.split(/[;,]/)
+					.map((tag) => tag.trim())
+					.filter(Boolean);
+				break;
+			case "isPublic":
+				data.isPublic = ["true", "yes", "1"].includes(value.toLowerCase());
+				break;
+			case "estimatedHours":
+			case "progress":
+				data[field] = Number(value);
+				break;
+			case "status":
+			case "priority":
+			case "category":
+				data[field] = value.toLowerCase();
+				break;
+			default:
+				data[field] = value;
+		}
+	});
+
+	return data;
+};
+
+/**
+ * Why `user` cannot import tasks into a project (null if they can)
+ */
+const projectError = async (user, projectId) => {
+	if (!/^[a-f\d]{24}$/i.test(projectId)) return "Invalid project ID";
+	try {
+		await assertCanUseProject(user, projectId);
+		return null;
+	} catch (error) {
+		if (!(error instanceof AppError)) throw error;
+		return error.message;
+	}
+};
+
+/**
+ * Parse and validate a CSV import. Returns one entry per data row:
+ * `{ row, task }` when valid or `{ row, errors: [{ field, message }] }`.
+ * Row 1 is the first line after the header.
+ */
+const prepareImport = async (text, user, mapping) => {
+	let rows;
+	try {
+		rows = parseCsv(text);
+	} catch (error) {
+		throw new AppError(`Invalid CSV: ${error.message}`, 400);
+	}
+
+	if (rows.length < 2) {
+		throw new AppError("CSV must have a header row and at least one task", 400);
+	}
+	if (rows.length - 1 > MAX_IMPORT_ROWS) {
+		throw new AppError(
+			`CSV has more than ${MAX_IMPORT_ROWS} rows; split it up`,
+			400
+		);
+	}
+
+	const columns = resolveColumns(rows[0], mapping);
+	if (columns.title === undefined) {
+		throw new AppError("CSV needs a title column (or a mapping for it)", 400);
+	}
+
+	const records = rows.slice(1).map((cells) => {
+		const values = {};
+		Object.entries(columns).forEach(([field, index]) => {
+			values[field] = unguardCsvField(cells[index] || "");
+		});
+		return convertRow(values);
+	});
+
+	const emails = [
+		...new Set(
+			records
+				.map((r) => r.assignedTo)
+				.filter(Boolean)
+				.map((e) => e.toLowerCase())
+		),
+	];
+	const users = await User.find({ email: { $in: emails } }).select(
+		"email isActive"
+	);
+	const userByEmail = new Map(users.map((u) => [u.email, u]));
+
+	// Each project is checked once; its error is reported on all its rows
+	const projectChecks = new Map();
+	const checkProject = (projectId) => {
+		if (!projectChecks.has(projectId)) {
+			projectChecks.set(projectId, projectError(user, projectId));
+		}
+		return projectChecks.get(projectId);
+	};
+
+	return Promise.all(
+		records.map(async (record, i) => {
+			const row = i + 1;
+			const errors = [];
+			const data = { ...record, createdBy: user._id };
+
+			if (record.assignedTo) {
+				const assignee = userByEmail.get(record.assignedTo.toLowerCase());
+				if (!assignee || !assignee.isActive) {
+					errors.push({
+						field: "assignedTo",
+						message: `No active user with email ${record.assignedTo}`,
+					});
+					delete data.assignedTo;
+				} else {
+					data.assignedTo = assignee._id;
+				}
+			}
+
+			if (record.project) {
+				const message = await checkProject(record.project);
+				if (message) {
+					errors.push({ field: "project", message });
+					delete data.project;
+				}
+			}
+
+			const task = new Task(data);
+			try {
+				await task.validate();
+			} catch (error) {
+				if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+				Object.values(error.errors).forEach((e) => {
+					if (!errors.some((existing) => existing.field === e.path)) {
+						errors.push({ field: e.path, message: e.message });
+					}
+				});
+			}
+
+			return errors.length ? { row, errors } : { row, task };
+		})
+	);
+};
+
+/**
+ * Save the valid rows of a prepared import. Returns the saved tasks and
+ * any rows that failed while saving.
+ */
+const importPrepared = async (prepared, user) => {
+	const imported = [];
+	const failed = [];
+
+	for (const entry of prepared.filter((e) => e.task)) {
+		try {
+			await entry.task.setActor(user._id).save();
+			imported.push(entry);
+		} catch (error) {
+			failed.push({ row: entry.row, errors: [{ message: error.message }] });
+		}
+	}
+
+	return { imported, failed };
+};
+
+module.exports = {
+	EXPORT_FORMATS,
+	EXPORT_FIELDS,
+	IMPORT_FIELDS,
+	MAX_IMPORT_ROWS,
+	PREVIEW_ROWS,
+	toExportRecord,
+	streamExport,
+	prepareImport,
+	importPrepared,
+};
@@ -0,0 +1,215 @@
+/**
+ * TOKEN SERVICE - Access and refresh token lifecycle
+ *
+ * Features:
+ * - Short-lived JWT access tokens bound to a session and token version
+ * - Opaque refresh tokens stored hashed, rotated on every use
+ * - Reuse detection that revokes the whole token family
+ * - Revocation of all of a user's sessions
+ * - One-minute event stream tokens for clients that cannot send headers
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const RefreshToken = require("../models/refresh-token.model");
+const { AppError } = require("../middleware/error.middleware");
+const { generateRandomToken, hashToken } = require("../utils/token.util");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+	parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const STREAM_TOKEN_EXPIRES_IN = "1m";
+
+/**
+ * Sign an access token for a session
+ */
+const signAccessToken = (user, sessionId) =>
+	jwt.sign(
+		{ userId: user._id, sid: sessionId, ver: user.tokenVersion || 0 },
+		process.env.JWT_SECRET,
+		{ expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+	);
+
+/**
+ * Create a refresh token record and return the raw token
+ */
+const createRefreshToken = async (user, family, meta = {}) => {
+	const token = generateRandomToken(48);
+	const record = await RefreshToken.create({
+		user: user._id,
+		tokenHash: hashToken(token),
+		family,
+		expiresAt: new Date(
+			Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+		),
+		createdByIp: meta.ip,
+		userAgent: meta.userAgent,
+	});
+	return { token, record };
+};
+
+/**
+ * Issue a new access/refresh token pair. Omitting `family` starts a new
+ * session.
+ */
+const issueTokens = async (user, meta = {}, family = crypto.randomUUID()) => {
+	const { token: refreshToken, record } = await createRefreshToken(
+		user,
+		family,
+		meta
+	);
+
+	return {
+		token: signAccessToken(user, family),
+		refreshToken,
+		expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+		record,
+	};
+};
+
+/**
+ * Exchange a refresh token for a new pair. Presenting an already used or
+ * revoked token is treated as theft and revokes the whole family.
+ */
+const rotateRefreshToken = async (rawToken, meta = {}) => {
+	const current = await RefreshToken.findOne({
+		tokenHash: hashToken(rawToken),
+	});
+
+	if (!current) {
+		throw new AppError("Invalid refresh token", 401);
+	}
+
+	if (current.revokedAt) {
+		await RefreshToken.revokeFamily(current.family, "reuse-detected");
+		throw new AppError("Refresh token has been revoked", 401);
+	}
+
+	if (current.expiresAt <= new Date()) {
+		throw new AppError("Refresh token has expired", 401);
+	}
+
+	const user = await User.findById(current.user);
+	if (!user || !user.isActive) {
+		await RefreshToken.revokeFamily(current.family, "user-inactive");
+		throw new AppError("User account is unavailable", 401);
+	}
+
+	// Claim the token atomically so two concurrent refreshes cannot both win
+	const claimed = await RefreshToken.findOneAndUpdate(
+		{ _id: current._id, revokedAt: null },
+		{ revokedAt: new Date(), revokedReason: "rotated" }
+	);
+	if (!claimed) {
+		await RefreshToken.revokeFamily(current.family, "reuse-detected");
+		throw new AppError("Refresh token has been revoked", 401);
+	}
+
+	const tokens = await issueTokens(user, meta, current.family);
+	await RefreshToken.updateOne(
+		{ _id: current._id },
+		{ replacedBy: tokens.record._id }
+	);
+
+	return { user, ...tokens };
+};
+
+/**
+ * Revoke every session of a user, including outstanding access tokens
+ */
+const revokeAllSessions = async (userId, reason) => {
+	await Promise.all([
+		RefreshToken.revokeAllForUser(userId, reason),
+		User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }),
+	]);
+};
+
+/**
+ * Verify a session-bound token of the given `type` (null for access
+ * tokens). Returns the user and the decoded payload.
+ */
+const verifySessionToken = async (token, type) => {
+	const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+	// Challenge and other purpose-specific tokens are only accepted where
+	// that purpose is expected
+	if ((decoded.type || null) !== type) {
+		throw new AppError("Invalid token", 401);
+	}
+
+	const user = await User.findById(decoded.userId).select("-password");
+	if (!user) {
+		throw new AppError("User not found", 401);
+	}
+
+	if (!user.isActive) {
+		throw new AppError("User account is deactivated", 401);
+	}
+
+	if (
+		(decoded.ver || 0) !== (user.tokenVersion || 0) ||
+		!decoded.sid ||
+		!(await RefreshToken.isFamilyActive(decoded.sid))
+	) {
+		throw new AppError("Session has been revoked", 401);
+	}
+
+	user.$locals.sessionId = decoded.sid;
+	return { user, decoded };
+};
+
+/**
+ * Verify an access token and return its user. Throws AppErrors (401)
+ * for expired, revoked or otherwise invalid tokens.
+ */
+const verifyAccessToken = async (token) => {
+	const { user, decoded } = await verifySessionToken(token, null);
+	user.$locals.tokenExpiresAt = new Date(decoded.exp * 1000);
+	return user;
+};
+
+/**
+ * Sign an event stream token for a user authenticated with an access
+ * token. It is only good for opening a stream within a minute; the
+ * stream itself ends when the access token would have expired.
+ */
+const signStreamToken = (user) =>
+	jwt.sign(
+		{
+			userId: user._id,
+			sid: user.$locals.sessionId,
+			ver: user.tokenVersion || 0,
+			type: "event-stream",
+			accessExp: Math.floor(user.$locals.tokenExpiresAt.getTime() / 1000),
+		},
+		process.env.JWT_SECRET,
+		{ expiresIn: STREAM_TOKEN_EXPIRES_IN }
+	);
+
+/**
+ * Verify an event stream token and return its user
+ */
+const verifyStreamToken = async (token) => {
+	const { user, decoded } = await verifySessionToken(token, "event-stream");
+	user.$locals.tokenExpiresAt = new Date(decoded.accessExp * 1000);
+	return user;
+};
+
+/**
+ * Request metadata recorded with refresh tokens
+ */
+const requestMeta = (req) => ({
+	ip: req.ip,
+	userAgent: req.get("user-agent"),
+});
+
+module.exports = {
+	issueTokens,
+	rotateRefreshToken,
+	revokeAllSessions,
+	verifyAccessToken,
+	signStreamToken,
+	verifyStreamToken,
+	requestMeta,
+};
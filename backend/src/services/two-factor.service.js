@@ -0,0 +1,232 @@
+/**
+ * TWO-FACTOR SERVICE - TOTP enrollment, verification and login challenges
+ *
+ * Features:
+ * - Enrollment with an otpauth:// URI and confirmation by code
+ * - Hashed single-use recovery codes
+ * - Short-lived challenge tokens for the second login step
+ * - Role-based 2FA requirement from system settings
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const SystemSetting = require("../models/system-setting.model");
+const { AppError } = require("../middleware/error.middleware");
+const { hashToken } = require("../utils/token.util");
+const {
+	generateSecret,
+	verifyTotp,
+	buildOtpauthUri,
+} = require("../utils/totp.util");
+const { sealSecret, openSecret } = require("../utils/secret.util");
+
+const ISSUER = process.env.TOTP_ISSUER || "TaskFlow";
+const CHALLENGE_EXPIRES_IN = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS =
+	"+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Load a user including the hidden two-factor fields
+ */
+const findUserWithSecrets = (userId) =>
+	User.findById(userId).select(SECRET_FIELDS);
+
+const normalizeRecoveryCode = (code) =>
+	String(code || "")
+		.replace(/[\s-]/g, "")
+		.toLowerCase();
+
+/**
+ * Generate recovery codes; returns the plain codes and their hashes
+ */
+const generateRecoveryCodes = () => {
+	const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const raw = crypto.randomBytes(5).toString("hex");
+		return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+	});
+	return {
+		codes,
+		hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+	};
+};
+
+/**
+ * Whether the user's role must use two-factor authentication
+ */
+const isTwoFactorRequired = async (user) => {
+	const settings = await SystemSetting.getSettings();
+	const roles = settings.security.requireTwoFactorRoles || [];
+	return roles.includes(user.role);
+};
+
+/**
+ * Start enrollment: store a pending secret and return the otpauth URI
+ */
+const beginEnrollment = async (userId) => {
+	const user = await findUserWithSecrets(userId);
+	if (user.twoFactor.enabled) {
+		throw new AppError("Two-factor authentication is already enabled", 400);
+	}
+
+	const secret = generateSecret();
+	user.twoFactor.pendingSecret = sealSecret(secret);
+	await user.save();
+
+	return {
+		secret,
+		otpauthUri: buildOtpauthUri({
+			secret,
+			accountName: user.email,
+			issuer: ISSUER,
+		}),
+	};
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * Returns the recovery codes, which are only shown this once.
+ */
+const confirmEnrollment = async (userId, code) => {
+	const user = await findUserWithSecrets(userId);
+	if (!user.twoFactor.pendingSecret) {
+		throw new AppError("Two-factor setup has not been started", 400);
+	}
+
+	const step = verifyTotp(openSecret(user.twoFactor.pendingSecret), code);
+	if (step === null) {
+		throw new AppError("Invalid two-factor code", 400, "INVALID_2FA_CODE");
+	}
+
+	const { codes, hashes } = generateRecoveryCodes();
+	user.twoFactor.secret = user.twoFactor.pendingSecret;
+	user.twoFactor.pendingSecret = null;
+	user.twoFactor.recoveryCodes = hashes;
+	user.twoFactor.lastUsedStep = step;
+	user.twoFactor.enabled = true;
+	user.twoFactor.enabledAt = new Date();
+	await user.save();
+
+	return codes;
+};
+
+/**
+ * Check a TOTP or recovery code for a user loaded with secrets.
+ * Marks the code as used; the caller must save the user.
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+	if (!user.twoFactor.enabled || !user.twoFactor.secret) {
+		return false;
+	}
+
+	if (code) {
+		const step = verifyTotp(openSecret(user.twoFactor.secret), code, {
+			afterStep: user.twoFactor.lastUsedStep,
+		});
+		if (step === null) return false;
+		user.twoFactor.lastUsedStep = step;
+		return true;
+	}
+
+	if (recoveryCode) {
+		const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+		if (!user.twoFactor.recoveryCodes.includes(hash)) return false;
+		user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(
+			(existing) => existing !== hash
+		);
+		return true;
+	}
+
+	return false;
+};
+
+/**
+ * Turn two-factor authentication off after re-checking a code
+ */
+const disableTwoFactor = async (userId, factors) => {
+	const user = await findUserWithSecrets(userId);
+
+	if (await isTwoFactorRequired(user)) {
+		throw new AppError(
+			"Two-factor authentication is required for your role",
+			403,
+			"TWO_FACTOR_REQUIRED"
+		);
+	}
+
+	if (!verifySecondFactor(user, factors)) {
+		throw new AppError("Invalid two-factor code", 400, "INVALID_2FA_CODE");
+	}
+
+	user.twoFactor.enabled = false;
+	user.twoFactor.enabledAt = null;
+	user.twoFactor.secret = null;
+	user.twoFactor.pendingSecret = null;
+	user.twoFactor.recoveryCodes = [];
+	user.twoFactor.lastUsedStep = null;
+	await user.save();
+};
+
+/**
+ * Replace all recovery codes after re-checking a TOTP code
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+	const user = await findUserWithSecrets(userId);
+	if (!verifySecondFactor(user, { code })) {
+		throw new AppError("Invalid two-factor code", 400, "INVALID_2FA_CODE");
+	}
+
+	const { codes, hashes } = generateRecoveryCodes();
+	user.twoFactor.recoveryCodes = hashes;
+	await user.save();
+
+	return codes;
+};
+
+/**
+ * Short-lived token proving the password step succeeded
+ */
+const createChallengeToken = (user) =>
+	jwt.sign(
+		{ userId: user._id, type: "2fa-challenge" },
+		process.env.JWT_SECRET,
+		{
+			expiresIn: CHALLENGE_EXPIRES_IN,
+		}
+	);
+
+/**
+ * Resolve a challenge token to its user (with secrets)
+ */
+const verifyChallengeToken = async (token) => {
+	let decoded;
+	try {
+		decoded = jwt.verify(token, process.env.JWT_SECRET);
+	} catch (error) {
+		throw new AppError("Invalid or expired challenge token", 401);
+	}
+
+	if (decoded.type !== "2fa-challenge") {
+		throw new AppError("Invalid or expired challenge token", 401);
+	}
+
+	const user = await findUserWithSecrets(decoded.userId);
+	if (!user || !user.isActive) {
+		throw new AppError("Invalid or expired challenge token", 401);
+	}
+
+	return user;
+};
+
+module.exports = {
+	isTwoFactorRequired,
+	beginEnrollment,
+	confirmEnrollment,
+	verifySecondFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes,
+	createChallengeToken,
+	verifyChallengeToken,
+};
@@ -0,0 +1,246 @@
+/**
+ * WEBHOOK SERVICE - Queue, sign and deliver outgoing webhooks
+ *
+ * Features:
+ * - Domain events are queued as one delivery per subscribed webhook
+ * - HMAC-SHA256 signature over "<timestamp>.<body>"
+ * - Exponential backoff between attempts, up to WEBHOOK_MAX_ATTEMPTS
+ * - Polling worker that leases deliveries, so several instances can run
+ *   side by side without sending the same delivery twice
+ * - Manual redelivery of any logged delivery
+ */
+
+const crypto = require("crypto");
+const Webhook = require("../models/webhook.model");
+const WebhookDelivery = require("../models/webhook-delivery.model");
+const { subscribe } = require("./event.service");
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS =
+	(parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const POLL_INTERVAL_MS =
+	parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RESPONSE_BODY = 2000;
+// Deliveries processed per worker tick
+const BATCH_SIZE = 20;
+
+const USER_AGENT = "TaskFlow-Webhooks/1.0";
+
+/**
+ * Signature header value for a body sent at `timestamp` (Unix seconds)
+ */
+const signPayload = (secret, timestamp, body) =>
+	`sha256=${crypto
+		.createHmac("sha256", secret)
+		.update(`${timestamp}.${body}`)
+		.digest("hex")}`;
+
+/**
+ * Delay before the attempt after `attempts` failed ones:
+ * base, 2 x base, 4 x base ... capped at one day, with up to 10% jitter
+ */
+const retryDelay = (attempts) => {
+	const delay = Math.min(
+		RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1),
+		MAX_RETRY_DELAY_MS
+	);
+	return Math.round(delay * (1 + Math.random() * 0.1));
+};
+
+const serializeEvent = (event) =>
+	JSON.stringify({
+		id: event.id,
+		type: event.type,
+		occurredAt: event.occurredAt,
+		actor: event.actor,
+		data: event.data,
+	});
+
+/**
+ * Queue an event for every active webhook subscribed to its type
+ */
+const enqueueEvent = async (event) => {
+	const webhooks = await Webhook.findSubscribers(event.type).select("_id");
+	if (!webhooks.length) return [];
+
+	const payload = serializeEvent(event);
+	return WebhookDelivery.insertMany(
+		webhooks.map((webhook) => ({
+			webhook: webhook._id,
+			event: event.type,
+			eventId: event.id,
+			payload,
+		}))
+	);
+};
+
+/**
+ * Send a delivery once and record the outcome. Returns the delivery.
+ */
+const attemptDelivery = async (delivery) => {
+	const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+	const now = new Date();
+
+	delivery.attempts += 1;
+	delivery.lastAttemptAt = now;
+	delivery.lockedUntil = null;
+
+	if (!webhook || !webhook.isActive) {
+		delivery.status = "failed";
+		delivery.error = webhook ? "Webhook is disabled" : "Webhook was deleted";
+		delivery.completedAt = now;
+		return delivery.save();
+	}
+
+	const timestamp = Math.floor(now.getTime() / 1000);
+	const started = Date.now();
+
+	try {
+		const response = await fetch(webhook.url, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				"User-Agent": USER_AGENT,
+				"X-TaskFlow-Event": delivery.event,
+				"X-TaskFlow-Delivery": delivery._id.toString(),
+				"X-TaskFlow-Timestamp": String(timestamp),
+				"X-TaskFlow-Signature": signPayload(
+					webhook.getSecret(),
+					timestamp,
+					delivery.payload
+				),
+			},
+			body: delivery.payload,
+			redirect: "manual",
+			signal: AbortSignal.timeout(TIMEOUT_MS),
+		});
+		const text = await response.text().catch(() => "");
+
+		delivery.responseStatus = response.status;
+		delivery.responseBody = text.slice(0, MAX_RESPONSE_BODY);
+		delivery.error = response.ok ? null : `HTTP ${response.status}`;
+	} catch (error) {
+		delivery.responseStatus = null;
+		delivery.responseBody = null;
+		delivery.error =
+			error.name === "TimeoutError"
+				? `Timed out after ${TIMEOUT_MS} ms`
+				: error.cause?.message || error.message;
+	}
+	delivery.durationMs = Date.now() - started;
+
+	if (!delivery.error) {
+		delivery.status = "succeeded";
+		delivery.completedAt = new Date();
+	} else if (delivery.attempts >= MAX_ATTEMPTS) {
+		delivery.status = "failed";
+		delivery.completedAt = new Date();
+	} else {
+		delivery.nextAttemptAt = new Date(
+			Date.now() + retryDelay(delivery.attempts)
+		);
+	}
+
+	return delivery.save();
+};
+
+/**
+ * Send every due delivery, up to one batch. Returns how many were sent.
+ */
+const processDueDeliveries = async () => {
+	let processed = 0;
+
+	while (processed < BATCH_SIZE) {
+		const delivery = await WebhookDelivery.claimNext(TIMEOUT_MS * 2);
+		if (!delivery) break;
+
+		await attemptDelivery(delivery);
+		processed += 1;
+	}
+
+	return processed;
+};
+
+/**
+ * Queue a copy of a logged delivery for immediate sending
+ */
+const redeliver = (delivery, userId) =>
+	WebhookDelivery.create({
+		webhook: delivery.webhook,
+		event: delivery.event,
+		eventId: delivery.eventId,
+		payload: delivery.payload,
+		redeliveryOf: delivery.redeliveryOf || delivery._id,
+		triggeredBy: userId,
+	});
+
+/**
+ * Queue a test event for one webhook, regardless of its event filter
+ */
+const queuePing = (webhook, userId) => {
+	const event = {
+		id: crypto.randomUUID(),
+		type: "webhook.ping",
+		occurredAt: new Date().toISOString(),
+		actor: userId.toString(),
+		data: { webhook: { _id: webhook._id, name: webhook.name } },
+	};
+
+	return WebhookDelivery.create({
+		webhook: webhook._id,
+		event: event.type,
+		eventId: event.id,
+		payload: serializeEvent(event),
+		triggeredBy: userId,
+	});
+};
+
+let worker = null;
+
+/**
+ * Subscribe to domain events and start polling the delivery queue
+ */
+const startWebhookWorker = () => {
+	if (worker) return worker;
+
+	const unsubscribe = subscribe(enqueueEvent);
+	let running = false;
+
+	const tick = async () => {
+		if (running) return;
+		running = true;
+		try {
+			await processDueDeliveries();
+		} catch (error) {
+			console.error("Webhook delivery failed:", error);
+		} finally {
+			running = false;
+		}
+	};
+
+	const timer = setInterval(tick, POLL_INTERVAL_MS);
+	timer.unref();
+
+	worker = {
+		stop: () => {
+			clearInterval(timer);
+			unsubscribe();
+			worker = null;
+		},
+	};
+	return worker;
+};
+
+module.exports = {
+	MAX_ATTEMPTS,
+	signPayload,
+	retryDelay,
+	enqueueEvent,
+	attemptDelivery,
+	processDueDeliveries,
+	redeliver,
+	queuePing,
+	startWebhookWorker,
+};
@@ -0,0 +1,92 @@
+/**
+ * CSV UTILITIES - Minimal RFC 4180 reading and writing
+ *
+ * Features:
+ * - Quoted fields with embedded commas, quotes and line breaks
+ * - CRLF or LF line endings and a leading byte order mark
+ * - Formula-injection guard for spreadsheet consumers
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+	const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	const endRow = () => {
+		row.push(field);
+		if (row.length > 1 || row[0] !== "") rows.push(row);
+		row = [];
+		field = "";
+	};
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === "") {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && input[i + 1] === "\n") i++;
+			endRow();
+		} else {
+			field += char;
+		}
+	}
+
+	if (quoted) {
+		throw new Error("Unterminated quoted field");
+	}
+	if (field !== "" || row.length) endRow();
+
+	return rows;
+};
+
+/**
+ * Format one value as a CSV field. Strings that a spreadsheet would
+ * evaluate as a formula are prefixed with a single quote.
+ */
+const formatCsvField = (value) => {
+	if (value === null || value === undefined) return "";
+
+	let text = value instanceof Date ? value.toISOString() : String(value);
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo the formula guard of formatCsvField on an imported value
+ */
+const unguardCsvField = (text) =>
+	/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+
+/**
+ * Format an array of values as one CSV line (with CRLF)
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(",")}\r\n`;
+
+module.exports = {
+	parseCsv,
+	formatCsvField,
+	unguardCsvField,
+	formatCsvRow,
+};
@@ -0,0 +1,73 @@
+/**
+ * FILE STORAGE UTILITIES - Helpers for files kept under the upload directory
+ *
+ * Features:
+ * - Safe resolution of stored relative paths
+ * - File removal that tolerates already-missing files
+ * - Per-user storage usage across task attachments and product images
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const Task = require("../models/task.model");
+const Product = require("../models/product.model");
+const { AppError } = require("../middleware/error.middleware");
+
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+/**
+ * Resolve a stored relative path, refusing anything outside UPLOAD_ROOT
+ */
+const resolveStoredPath = (relativePath) => {
+	const absolutePath = path.resolve(UPLOAD_ROOT, relativePath);
+	if (!absolutePath.startsWith(UPLOAD_ROOT + path.sep)) {
+		throw new AppError("Invalid file path", 400);
+	}
+	return absolutePath;
+};
+
+/**
+ * Delete stored files; missing files are ignored
+ */
+const removeStoredFiles = async (relativePaths) => {
+	await Promise.all(
+		relativePaths.filter(Boolean).map(async (relativePath) => {
+			try {
+				await fs.unlink(resolveStoredPath(relativePath));
+			} catch (error) {
+				if (error.code !== "ENOENT") {
+					console.error("Failed to remove file:", relativePath, error);
+				}
+			}
+		})
+	);
+};
+
+const sumSizes = async (Model, arrayField, userId) => {
+	const uploadedBy = `${arrayField}.uploadedBy`;
+	const [result] = await Model.aggregate([
+		{ $match: { [uploadedBy]: userId } },
+		{ $unwind: `$${arrayField}` },
+		{ $match: { [uploadedBy]: userId } },
+		{ $group: { _id: null, total: { $sum: `$${arrayField}.size` } } },
+	]);
+	return result ? result.total : 0;
+};
+
+/**
+ * Total bytes a user currently has stored
+ */
+const getUserStorageUsage = async (userId) => {
+	const [attachments, images] = await Promise.all([
+		sumSizes(Task, "attachments", userId),
+		sumSizes(Product, "images", userId),
+	]);
+	return attachments + images;
+};
+
+module.exports = {
+	UPLOAD_ROOT,
+	resolveStoredPath,
+	removeStoredFiles,
+	getUserStorageUsage,
+};
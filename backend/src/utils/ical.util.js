@@ -0,0 +1,154 @@
+/**
+ * ICAL UTILITIES - Minimal RFC 5545 calendar writer for tasks
+ *
+ * Features:
+ * - VTODO or all-day VEVENT components per task
+ * - Status, priority, percent complete and categories
+ * - Text escaping and 75-octet line folding
+ */
+
+const PRODUCT_ID = "-//TaskFlow//Task Calendar//EN";
+
+// iCalendar priority: 1 is highest, 9 lowest
+const PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const TODO_STATUS = {
+	pending: "NEEDS-ACTION",
+	"in-progress": "IN-PROCESS",
+	completed: "COMPLETED",
+	cancelled: "CANCELLED",
+};
+
+const EVENT_STATUS = {
+	pending: "CONFIRMED",
+	"in-progress": "CONFIRMED",
+	completed: "CONFIRMED",
+	cancelled: "CANCELLED",
+};
+
+const escapeText = (value) =>
+	String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/;/g, "\\;")
+		.replace(/,/g, "\\,")
+		.replace(/\r?\n/g, "\\n");
+
+// 20260131T090000Z
+const formatDateTime = (date) =>
+	new Date(date)
+		.toISOString()
+		.replace(/[-:]/g, "")
+		.replace(/\.\d{3}/, "");
+
+// 20260131
+const formatDate = (date) =>
+	new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+
+/**
+ * Fold a content line to at most 75 octets per physical line
+ */
+const foldLine = (line) => {
+	const parts = [];
+	let current = "";
+	let size = 0;
+
+	for (const char of line) {
+		const bytes = Buffer.byteLength(char);
+		const limit = parts.length ? 74 : 75;
+		if (size + bytes > limit) {
+			parts.push(current);
+			current = "";
+			size = 0;
+		}
+		current += char;
+		size += bytes;
+	}
+	parts.push(current);
+
+	return parts.join("\r\n ");
+};
+
+/**
+ * Content lines of one task component. `type` is "todo" or "event";
+ * `link` is the URL of the task in the web app.
+ */
+const taskComponent = (task, { type = "todo", link, now = new Date() }) => {
+	const component = type === "event" ? "VEVENT" : "VTODO";
+	const categories = [task.category, ...(task.tags || [])].filter(Boolean);
+	const description = [task.description, link].filter(Boolean).join("\n\n");
+
+	const lines = [
+		`BEGIN:${component}`,
+		`UID:${task._id}@taskflow`,
+		`DTSTAMP:${formatDateTime(now)}`,
+		`CREATED:${formatDateTime(task.createdAt)}`,
+		`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+		`SUMMARY:${escapeText(task.title)}`,
+	];
+
+	if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+	if (link) lines.push(`URL:${link}`);
+	if (categories.length) {
+		lines.push(`CATEGORIES:${categories.map(escapeText).join(",")}`);
+	}
+	lines.push(`PRIORITY:${PRIORITY[task.priority] || 0}`);
+
+	if (type === "event") {
+		const end = new Date(task.dueDate);
+		end.setUTCDate(end.getUTCDate() + 1);
+		lines.push(
+			`DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`,
+			`DTEND;VALUE=DATE:${formatDate(end)}`,
+			`STATUS:${EVENT_STATUS[task.status]}`,
+			"TRANSP:TRANSPARENT"
+		);
+	} else {
+		lines.push(
+			`DUE:${formatDateTime(task.dueDate)}`,
+			`STATUS:${TODO_STATUS[task.status]}`,
+			`PERCENT-COMPLETE:${task.status === "completed" ? 100 : task.progress || 0}`
+		);
+		if (task.completedAt) {
+			lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+		}
+	}
+
+	lines.push(`END:${component}`);
+	return lines;
+};
+
+/**
+ * Build a complete calendar document for a list of tasks.
+ * `linkFor(task)` returns the web app URL of a task.
+ */
+const buildCalendar = (tasks, { name, type = "todo", linkFor } = {}) => {
+	const now = new Date();
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		`PRODID:${PRODUCT_ID}`,
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+	];
+	if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+	tasks.forEach((task) => {
+		lines.push(
+			...taskComponent(task, {
+				type,
+				link: linkFor ? linkFor(task) : null,
+				now,
+			})
+		);
+	});
+	lines.push("END:VCALENDAR");
+
+	return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = {
+	escapeText,
+	foldLine,
+	taskComponent,
+	buildCalendar,
+};
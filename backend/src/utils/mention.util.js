@@ -0,0 +1,57 @@
+/**
+ * MENTION UTILITIES - Parse @mentions out of free text
+ *
+ * Supported forms:
+ * - @jane@example.com (email address)
+ * - @64f1c2... (24-character user ID)
+ */
+
+const User = require("../models/user.model");
+const { canViewTask } = require("./task-access.util");
+
+const MENTION_PATTERN =
+	/(?:^|[^\w@])@([a-f\d]{24}\b|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/gi;
+
+/**
+ * Extract raw mention tokens (emails lowercased, IDs as-is)
+ */
+const extractMentionTokens = (content) => {
+	const emails = new Set();
+	const ids = new Set();
+
+	for (const match of String(content).matchAll(MENTION_PATTERN)) {
+		const token = match[1];
+		if (token.includes("@")) {
+			emails.add(token.toLowerCase());
+		} else {
+			ids.add(token.toLowerCase());
+		}
+	}
+
+	return { emails: [...emails], ids: [...ids] };
+};
+
+/**
+ * Resolve mentions in `content` to the IDs of existing active users who
+ * can see `task`; mentions of anyone else are dropped
+ */
+const resolveMentions = async (content, task) => {
+	const { emails, ids } = extractMentionTokens(content);
+	if (!emails.length && !ids.length) return [];
+
+	const users = await User.find({
+		isActive: true,
+		$or: [{ email: { $in: emails } }, { _id: { $in: ids } }],
+	});
+
+	const mentioned = [];
+	for (const user of users) {
+		if (await canViewTask(user, task)) mentioned.push(user._id);
+	}
+	return mentioned;
+};
+
+module.exports = {
+	extractMentionTokens,
+	resolveMentions,
+};
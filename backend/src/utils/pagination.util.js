@@ -0,0 +1,188 @@
+/**
+ * PAGINATION UTILITIES - Shared helpers for list endpoints
+ *
+ * Features:
+ * - Page/limit and cursor-based pagination
+ * - Sort parameter parsing against an allow-list
+ * - Opaque cursor encoding
+ */
+
+const mongoose = require("mongoose");
+const { AppError } = require("../middleware/error.middleware");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Read page, limit and cursor from a query string object
+ */
+const parsePagination = (query) => {
+	const page = Math.max(1, parseInt(query.page, 10) || 1);
+	const limit = Math.min(
+		MAX_LIMIT,
+		Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+	);
+
+	return { page, limit, cursor: query.cursor || null };
+};
+
+/**
+ * Parse a sort parameter such as "dueDate,-priority" into a mongoose sort
+ * object. `_id` is always appended as a tiebreaker so cursors are stable.
+ */
+const parseSort = (sortParam, allowedFields, defaultSort = "-createdAt") => {
+	const sort = {};
+	const tokens = String(sortParam || defaultSort)
+		.split(",")
+		.map((token) => token.trim())
+		.filter(Boolean);
+
+	for (const token of tokens) {
+		const direction = token.startsWith("-") ? -1 : 1;
+		const field = token.replace(/^[-+]/, "");
+
+		if (!allowedFields.includes(field)) {
+			throw new AppError(`Cannot sort by "${field}"`, 400);
+		}
+
+		sort[field] = direction;
+	}
+
+	if (!sort._id) {
+		sort._id = Object.values(sort)[0] || -1;
+	}
+
+	return sort;
+};
+
+const getValue = (doc, field) =>
+	typeof doc.get === "function" ? doc.get(field) : doc[field];
+
+const encodeValue = (value) => {
+	if (value === undefined || value === null) return null;
+	if (value instanceof Date) return { d: value.toISOString() };
+	if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+	return value;
+};
+
+const decodeValue = (value) => {
+	if (value && typeof value === "object") {
+		if (value.d) return new Date(value.d);
+		if (value.o) return new mongoose.Types.ObjectId(value.o);
+	}
+	return value;
+};
+
+/**
+ * Build an opaque cursor pointing just after `doc` in the given sort order
+ */
+const encodeCursor = (doc, sort) => {
+	const values = {};
+	Object.keys(sort).forEach((field) => {
+		values[field] = encodeValue(getValue(doc, field));
+	});
+	return Buffer.from(JSON.stringify(values)).toString("base64url");
+};
+
+const decodeCursor = (cursor, sort) => {
+	try {
+		const raw = JSON.parse(Buffer.from(cursor, "base64url").toString());
+		const values = {};
+		Object.keys(sort).forEach((field) => {
+			if (!(field in raw)) throw new Error(`Missing ${field}`);
+			values[field] = decodeValue(raw[field]);
+		});
+		return values;
+	} catch (error) {
+		throw new AppError("Invalid pagination cursor", 400);
+	}
+};
+
+/**
+ * Conditions on `field` matching values after `value` in `direction`.
+ * MongoDB sorts null (and missing) below every other value, so nulls come
+ * first in ascending and last in descending order.
+ */
+const afterValue = (field, value, direction) => {
+	if (value === null) {
+		return direction === 1 ? [{ [field]: { $ne: null } }] : [];
+	}
+	if (direction === 1) return [{ [field]: { $gt: value } }];
+	// _id is never null
+	return field === "_id"
+		? [{ [field]: { $lt: value } }]
+		: [{ [field]: { $lt: value } }, { [field]: null }];
+};
+
+/**
+ * Translate a cursor into a filter matching documents after it
+ */
+const buildCursorFilter = (cursor, sort) => {
+	const values = decodeCursor(cursor, sort);
+	const fields = Object.keys(sort);
+
+	return {
+		$or: fields.flatMap((field, index) => {
+			const prefix = {};
+			fields.slice(0, index).forEach((previous) => {
+				prefix[previous] = values[previous];
+			});
+			return afterValue(field, values[field], sort[field]).map((condition) => ({
+				...prefix,
+				...condition,
+			}));
+		}),
+	};
+};
+
+/**
+ * Run a paginated find and return the items with a pagination envelope.
+ * `decorate` receives the query so callers can add populate/select.
+ */
+const paginate = async (
+	Model,
+	filter,
+	{ sort, page, limit, cursor },
+	decorate = (query) => query
+) => {
+	const criteria = cursor
+		? { $and: [filter, buildCursorFilter(cursor, sort)] }
+		: filter;
+
+	let query = Model.find(criteria).sort(sort);
+	if (!cursor) {
+		query = query.skip((page - 1) * limit);
+	}
+
+	const [docs, total] = await Promise.all([
+		decorate(query.limit(limit + 1)),
+		Model.countDocuments(filter),
+	]);
+
+	const hasNextPage = docs.length > limit;
+	const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+	return {
+		items,
+		pagination: {
+			total,
+			limit,
+			...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+			hasNextPage,
+			nextCursor:
+				hasNextPage && items.length
+					? encodeCursor(items[items.length - 1], sort)
+					: null,
+		},
+	};
+};
+
+module.exports = {
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+	parsePagination,
+	parseSort,
+	encodeCursor,
+	buildCursorFilter,
+	paginate,
+};
@@ -0,0 +1,77 @@
+/**
+ * PROJECT ACCESS UTILITIES - Membership rules for projects
+ *
+ * Rules:
+ * - Only members see a project; "project:manage" sees and manages all
+ * - viewer: read the project and its tasks
+ * - member: also create and edit tasks
+ * - admin: also manage members, settings and archiving
+ * - owner: also delete the project and grant admin or owner
+ */
+
+const Project = require("../models/project.model");
+const { AppError } = require("../middleware/error.middleware");
+const { hasPermission } = require("../services/permission.service");
+
+const canManageAll = (user) => hasPermission(user, "project:manage");
+
+/**
+ * Load a project and check that the user holds at least `role` in it.
+ * Non-members get a 404 so projects stay invisible to outsiders.
+ */
+const findProjectWithAccess = async (projectId, user, role = "viewer") => {
+	const project = await Project.findById(projectId);
+	if (!project) {
+		throw new AppError("Project not found", 404);
+	}
+
+	if (project.hasRole(user._id, role) || (await canManageAll(user))) {
+		return project;
+	}
+
+	if (!project.roleOf(user._id)) {
+		throw new AppError("Project not found", 404);
+	}
+	throw new AppError(
+		`This requires the ${role} role in the project`,
+		403,
+		"PROJECT_ROLE_REQUIRED"
+	);
+};
+
+/**
+ * Throw a 409 AppError (code PROJECT_ARCHIVED) for archived projects
+ */
+const assertProjectActive = (project) => {
+	if (project.isArchived) {
+		throw new AppError(
+			"Archived projects cannot be changed",
+			409,
+			"PROJECT_ARCHIVED"
+		);
+	}
+};
+
+/**
+ * Check that the user may put tasks into a project (member role, project
+ * not archived); a missing `projectId` means no project
+ */
+const assertCanUseProject = async (user, projectId) => {
+	if (!projectId) return;
+	const project = await findProjectWithAccess(projectId, user, "member");
+	assertProjectActive(project);
+};
+
+/**
+ * MongoDB filter matching the projects a user may see
+ */
+const buildProjectFilter = async (user) =>
+	(await canManageAll(user)) ? {} : { "members.user": user._id };
+
+module.exports = {
+	canManageAll,
+	findProjectWithAccess,
+	assertProjectActive,
+	assertCanUseProject,
+	buildProjectFilter,
+};
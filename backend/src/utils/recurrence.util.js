@@ -0,0 +1,85 @@
+/**
+ * RECURRENCE UTILITIES - RRULE-style schedule arithmetic
+ *
+ * Features:
+ * - Daily, weekly and monthly frequencies with an interval
+ *   (e.g. every 2 weeks)
+ * - Series end by date (`until`) or number of occurrences (`count`)
+ * - Monthly dates keep the start day, clamped to shorter months
+ */
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+	const result = new Date(date);
+	const day = result.getUTCDate();
+
+	result.setUTCDate(1);
+	result.setUTCMonth(result.getUTCMonth() + months);
+	const lastDay = new Date(
+		Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+	).getUTCDate();
+	result.setUTCDate(Math.min(day, lastDay));
+
+	return result;
+};
+
+/**
+ * Due date of occurrence `n` (1-based) of a series starting at
+ * `startDate`, or null once the rule's `until` or `count` is passed.
+ * Dates are derived from the start so moving one occurrence does not
+ * shift the rest of the series.
+ */
+const occurrenceDate = (rule, startDate, n) => {
+	if (rule.count && n > rule.count) return null;
+
+	const start = new Date(startDate);
+	const steps = (n - 1) * (rule.interval || 1);
+	let date;
+
+	switch (rule.frequency) {
+		case "daily":
+			date = new Date(start.getTime() + steps * DAY_MS);
+			break;
+		case "weekly":
+			date = new Date(start.getTime() + steps * 7 * DAY_MS);
+			break;
+		case "monthly":
+			date = addMonths(start, steps);
+			break;
+		default:
+			throw new Error(`Unknown recurrence frequency "${rule.frequency}"`);
+	}
+
+	if (rule.until && date > new Date(rule.until)) return null;
+	return date;
+};
+
+/**
+ * Human-readable summary such as "every 2 weeks, 10 times"
+ */
+const describeRule = (rule) => {
+	const unit = { daily: "day", weekly: "week", monthly: "month" }[
+		rule.frequency
+	];
+	const interval = rule.interval || 1;
+	const parts = [
+		interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`,
+	];
+
+	if (rule.count) parts.push(`${rule.count} times`);
+	if (rule.until) {
+		parts.push(`until ${new Date(rule.until).toISOString().slice(0, 10)}`);
+	}
+
+	return parts.join(", ");
+};
+
+module.exports = {
+	FREQUENCIES,
+	addMonths,
+	occurrenceDate,
+	describeRule,
+};
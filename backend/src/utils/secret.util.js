@@ -0,0 +1,54 @@
+/**
+ * SECRET UTILITIES - Encryption of secrets at rest (AES-256-GCM)
+ *
+ * Used for 2FA secrets and webhook signing secrets. The key comes from
+ * SECRET_ENCRYPTION_KEY (TOTP_ENCRYPTION_KEY, then JWT_SECRET, are
+ * accepted so existing secrets stay readable).
+ */
+
+const crypto = require("crypto");
+
+const encryptionKey = () =>
+	crypto
+		.createHash("sha256")
+		.update(
+			process.env.SECRET_ENCRYPTION_KEY ||
+				process.env.TOTP_ENCRYPTION_KEY ||
+				process.env.JWT_SECRET ||
+				""
+		)
+		.digest();
+
+/**
+ * Encrypt a secret for storage
+ */
+const sealSecret = (secret) => {
+	const iv = crypto.randomBytes(12);
+	const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+	const encrypted = Buffer.concat([
+		cipher.update(secret, "utf8"),
+		cipher.final(),
+	]);
+	return [iv, cipher.getAuthTag(), encrypted]
+		.map((part) => part.toString("base64url"))
+		.join(".");
+};
+
+/**
+ * Decrypt a secret sealed with sealSecret
+ */
+const openSecret = (sealed) => {
+	const [iv, tag, encrypted] = sealed
+		.split(".")
+		.map((part) => Buffer.from(part, "base64url"));
+	const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+	decipher.setAuthTag(tag);
+	return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+		"utf8"
+	);
+};
+
+module.exports = {
+	sealSecret,
+	openSecret,
+};
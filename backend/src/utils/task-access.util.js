@@ -0,0 +1,250 @@
+/**
+ * TASK ACCESS UTILITIES - Visibility and ownership rules for tasks
+ *
+ * Rules:
+ * - "task:read:all" sees every task; "task:write:all" also changes them
+ * - Assignees and creators can see and edit their tasks
+ * - Public tasks outside projects are readable by everyone
+ * - "task:team" sees and manages tasks of direct reports
+ * - Project members see the project's tasks; members and above edit
+ *   them, project admins and owners also reassign and delete them
+ * - Tasks of archived projects cannot be edited or deleted
+ * - Only "task:write:all" can change createdBy; assignees cannot
+ *   reassign; deleting needs "task:delete" plus ownership or team access
+ */
+
+const Task = require("../models/task.model");
+const User = require("../models/user.model");
+const Project = require("../models/project.model");
+const { AppError } = require("../middleware/error.middleware");
+const { hasPermission } = require("../services/permission.service");
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const sameId = (a, b) =>
+	Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+/**
+ * Resolve (and cache on the user document) a manager's team member IDs
+ */
+const getTeamMemberIds = async (user) => {
+	if (!(await hasPermission(user, "task:team"))) return [];
+	if (!user.$locals.teamMemberIds) {
+		user.$locals.teamMemberIds = await User.findTeamMemberIds(user._id);
+	}
+	return user.$locals.teamMemberIds;
+};
+
+/**
+ * Resolve (and cache on the user document) the user's project roles,
+ * as a map of project ID to role
+ */
+const getProjectRoles = async (user) => {
+	if (!user.$locals.projectRoles) {
+		const projects = await Project.findForUser(user._id).select("members");
+		user.$locals.projectRoles = new Map(
+			projects.map((project) => [
+				project._id.toString(),
+				project.roleOf(user._id),
+			])
+		);
+	}
+	return user.$locals.projectRoles;
+};
+
+/**
+ * Whether the user holds at least `role` in the task's project
+ */
+const hasProjectRole = async (user, task, role) => {
+	if (!task.project) return false;
+
+	const current = (await getProjectRoles(user)).get(
+		idOf(task.project).toString()
+	);
+	return (
+		Boolean(current) &&
+		Project.PROJECT_ROLES.indexOf(current) >=
+			Project.PROJECT_ROLES.indexOf(role)
+	);
+};
+
+const canWriteAll = (user) => hasPermission(user, "task:write:all");
+
+const canReadAll = async (user) =>
+	(await hasPermission(user, "task:read:all")) || canWriteAll(user);
+
+/**
+ * IDs of the users whose work records (e.g. time entries) a user may
+ * see: themselves and their team, or null for everyone
+ */
+const getVisibleUserIds = async (user) => {
+	if (await canReadAll(user)) return null;
+	return [user._id, ...(await getTeamMemberIds(user))];
+};
+
+/**
+ * MongoDB filter matching the tasks a user is allowed to see
+ */
+const buildVisibilityFilter = async (user) => {
+	if (await canReadAll(user)) return {};
+
+	const clauses = [
+		{ assignedTo: user._id },
+		{ createdBy: user._id },
+		{ isPublic: true, project: null },
+	];
+
+	const projectIds = [...(await getProjectRoles(user)).keys()];
+	if (projectIds.length) {
+		clauses.push({ project: { $in: projectIds } });
+	}
+
+	const teamIds = await getTeamMemberIds(user);
+	if (teamIds.length) {
+		clauses.push(
+			{ assignedTo: { $in: teamIds } },
+			{ createdBy: { $in: teamIds } }
+		);
+	}
+
+	return { $or: clauses };
+};
+
+const isOwner = (user, task) =>
+	sameId(task.assignedTo, user._id) || sameId(task.createdBy, user._id);
+
+const isTeamTask = async (user, task) => {
+	const teamIds = await getTeamMemberIds(user);
+	return teamIds.some(
+		(id) => sameId(id, task.assignedTo) || sameId(id, task.createdBy)
+	);
+};
+
+const canViewTask = async (user, task) =>
+	(task.isPublic && !task.project) ||
+	isOwner(user, task) ||
+	(await canReadAll(user)) ||
+	(await isTeamTask(user, task)) ||
+	hasProjectRole(user, task, "viewer");
+
+const canEditTask = async (user, task) =>
+	isOwner(user, task) ||
+	(await canWriteAll(user)) ||
+	(await isTeamTask(user, task)) ||
+	hasProjectRole(user, task, "member");
+
+const canReassignTask = async (user, task) =>
+	sameId(task.createdBy, user._id) ||
+	(await canWriteAll(user)) ||
+	(await isTeamTask(user, task)) ||
+	hasProjectRole(user, task, "admin");
+
+const canDeleteTask = async (user, task) =>
+	(await canWriteAll(user)) ||
+	(await hasProjectRole(user, task, "admin")) ||
+	((await hasPermission(user, "task:delete")) &&
+		(sameId(task.createdBy, user._id) || (await isTeamTask(user, task))));
+
+/**
+ * Throw a 409 AppError (code PROJECT_ARCHIVED) for tasks of archived
+ * projects
+ */
+const assertTaskProjectActive = async (task) => {
+	if (!task.project) return;
+
+	const project = await task.loadProject();
+	if (project && project.isArchived) {
+		throw new AppError(
+			"Tasks of archived projects cannot be changed",
+			409,
+			"PROJECT_ARCHIVED"
+		);
+	}
+};
+
+/**
+ * Throw a 403 AppError when a task update touches fields the user
+ * may not change (409 for tasks of archived projects)
+ */
+const assertCanUpdateTask = async (user, task, updates) => {
+	if (!(await canEditTask(user, task))) {
+		throw new AppError("You do not have permission to edit this task", 403);
+	}
+	await assertTaskProjectActive(task);
+
+	if (
+		updates.createdBy !== undefined &&
+		!sameId(updates.createdBy, task.createdBy) &&
+		!(await canWriteAll(user))
+	) {
+		throw new AppError(
+			"You do not have permission to change the task creator",
+			403
+		);
+	}
+
+	if (
+		updates.assignedTo !== undefined &&
+		!sameId(updates.assignedTo, task.assignedTo) &&
+		!(await canReassignTask(user, task))
+	) {
+		throw new AppError("You do not have permission to reassign this task", 403);
+	}
+};
+
+/**
+ * Throw a 403 AppError unless the user may delete the task (409 for
+ * tasks of archived projects)
+ */
+const assertCanDeleteTask = async (user, task) => {
+	if (!(await canDeleteTask(user, task))) {
+		throw new AppError("You do not have permission to delete this task", 403);
+	}
+	await assertTaskProjectActive(task);
+};
+
+/**
+ * Load a task by ID and check the requested access level
+ * ("view", "edit" or "delete"). Throws 404/403 AppErrors. The user is
+ * recorded as the actor of any activity the task's next save produces.
+ */
+const findTaskWithAccess = async (taskId, user, access = "view") => {
+	const task = await Task.findById(taskId);
+	if (!task) {
+		throw new AppError("Task not found", 404);
+	}
+
+	const checks = {
+		view: canViewTask,
+		edit: canEditTask,
+		delete: canDeleteTask,
+	};
+
+	if (!(await checks[access](user, task))) {
+		throw new AppError(
+			`You do not have permission to ${access} this task`,
+			403
+		);
+	}
+
+	if (access !== "view") {
+		await assertTaskProjectActive(task);
+	}
+
+	return task.setActor(user._id);
+};
+
+module.exports = {
+	getTeamMemberIds,
+	getProjectRoles,
+	getVisibleUserIds,
+	buildVisibilityFilter,
+	canViewTask,
+	canEditTask,
+	canReassignTask,
+	canDeleteTask,
+	assertTaskProjectActive,
+	assertCanUpdateTask,
+	assertCanDeleteTask,
+	findTaskWithAccess,
+};
@@ -0,0 +1,210 @@
+/**
+ * TASK DEPENDENCY UTILITIES - "Blocks / blocked by" links between tasks
+ *
+ * Rules:
+ * - Links are stored on the dependent task (`blockedBy`)
+ * - A task cannot block itself and links may not form a cycle
+ * - Blockers must be visible to the caller
+ * - A task with open (not completed or cancelled) blockers cannot move
+ *   to in-progress or completed
+ */
+
+const mongoose = require("mongoose");
+const Task = require("../models/task.model");
+const { AppError } = require("../middleware/error.middleware");
+const { canViewTask } = require("./task-access.util");
+
+const BLOCKED_STATUSES = ["in-progress", "completed"];
+const MAX_GRAPH_NODES = 500;
+
+/**
+ * Whether `blockerId` already depends (directly or transitively) on
+ * `taskId`, in which case linking them would close a cycle
+ */
+const createsCycle = async (taskId, blockerId) => {
+	const target = taskId.toString();
+	const visited = new Set();
+	let frontier = [blockerId.toString()];
+
+	while (frontier.length) {
+		if (frontier.includes(target)) return true;
+		frontier.forEach((id) => visited.add(id));
+
+		const tasks = await Task.find({ _id: { $in: frontier } }).select(
+			"blockedBy"
+		);
+		frontier = [
+			...new Set(tasks.flatMap((t) => t.blockedBy.map((id) => id.toString()))),
+		].filter((id) => !visited.has(id));
+	}
+
+	return false;
+};
+
+/**
+ * Throw a 400/403/404/409 AppError unless every ID in `blockerIds` may
+ * block `task` (pass an unsaved task when creating one)
+ */
+const assertValidBlockers = async (user, task, blockerIds) => {
+	for (const blockerId of blockerIds) {
+		if (!mongoose.isValidObjectId(blockerId)) {
+			throw new AppError("Invalid blocking task ID", 400);
+		}
+		if (task._id.equals(blockerId)) {
+			throw new AppError("A task cannot block itself", 400);
+		}
+
+		const blocker = await Task.findById(blockerId);
+		if (!blocker) {
+			throw new AppError("Blocking task not found", 404);
+		}
+		if (!(await canViewTask(user, blocker))) {
+			throw new AppError(
+				"You do not have permission to view the blocking task",
+				403
+			);
+		}
+
+		if (!task.isNew && (await createsCycle(task._id, blocker._id))) {
+			throw new AppError(
+				`"${blocker.title}" already depends on this task; the link would create a cycle`,
+				409,
+				"DEPENDENCY_CYCLE"
+			);
+		}
+	}
+};
+
+/**
+ * Throw a 409 AppError (code TASK_BLOCKED) when a task with open
+ * blockers is moved to in-progress or completed
+ */
+const assertNotBlocked = async (task, nextStatus) => {
+	if (!BLOCKED_STATUSES.includes(nextStatus) || nextStatus === task.status) {
+		return;
+	}
+
+	const blockers = await Task.findOpenBlockers(task);
+	if (blockers.length) {
+		throw new AppError(
+			`Task is blocked by ${blockers.length} incomplete task(s): ${blockers
+				.map((b) => `"${b.title}"`)
+				.join(", ")}`,
+			409,
+			"TASK_BLOCKED"
+		);
+	}
+};
+
+/**
+ * Check the blockers of an unsaved task and that it does not start in a
+ * status its open blockers forbid (a custom status counts as its state)
+ */
+const assertValidNewTask = async (user, task) => {
+	if (!task.blockedBy.length) return;
+
+	await assertValidBlockers(user, task, task.blockedBy);
+
+	const project = task.customStatus && (await task.loadProject());
+	const custom = project && project.statusFor(task.customStatus);
+	await assertNotBlocked(
+		{ status: "pending", blockedBy: task.blockedBy },
+		custom ? custom.state : task.status
+	);
+};
+
+/**
+ * Convert tasks to plain objects with a `blocked` flag and the IDs of
+ * their open blockers (`openBlockers`), using one query for the batch
+ */
+const annotateBlocked = async (tasks) => {
+	const blockerIds = tasks.flatMap((t) => t.blockedBy || []);
+	const open = blockerIds.length
+		? await Task.find({
+				...Task.openCriteria(),
+				_id: { $in: blockerIds },
+			}).distinct("_id")
+		: [];
+	const openIds = new Set(open.map((id) => id.toString()));
+
+	return tasks.map((task) => {
+		const openBlockers = (task.blockedBy || [])
+			.map((id) => (id._id || id).toString())
+			.filter((id) => openIds.has(id));
+		return {
+			...task.toJSON(),
+			blocked: openBlockers.length > 0,
+			openBlockers,
+		};
+	});
+};
+
+/**
+ * Build `{ nodes, edges }` for a set of tasks. Edges point from the
+ * blocking task to the blocked one. With `expand`, linked tasks outside
+ * the set (matching `visibility`) are followed in both directions.
+ */
+const buildDependencyGraph = async (tasks, visibility = {}, expand = false) => {
+	const byId = new Map(tasks.map((t) => [t._id.toString(), t]));
+
+	let frontier = expand ? [...byId.keys()] : [];
+	while (frontier.length && byId.size < MAX_GRAPH_NODES) {
+		const ids = frontier;
+		const linkedIds = ids.flatMap((id) =>
+			byId.get(id).blockedBy.map((b) => b.toString())
+		);
+		const linked = await Task.find({
+			$and: [
+				visibility,
+				{ $or: [{ _id: { $in: linkedIds } }, { blockedBy: { $in: ids } }] },
+			],
+		})
+			.limit(MAX_GRAPH_NODES - byId.size)
+			.select("title status priority assignedTo dueDate blockedBy");
+
+		frontier = [];
+		linked.forEach((task) => {
+			const id = task._id.toString();
+			if (!byId.has(id)) {
+				byId.set(id, task);
+				frontier.push(id);
+			}
+		});
+	}
+
+	const nodes = await annotateBlocked([...byId.values()]);
+	const edges = [];
+	nodes.forEach((node) => {
+		(node.blockedBy || []).forEach((blockerId) => {
+			const from = blockerId.toString();
+			if (byId.has(from)) {
+				edges.push({ from, to: node._id.toString(), type: "blocks" });
+			}
+		});
+	});
+
+	return {
+		nodes: nodes.map((node) => ({
+			_id: node._id,
+			title: node.title,
+			status: node.status,
+			priority: node.priority,
+			assignedTo: node.assignedTo,
+			dueDate: node.dueDate,
+			blocked: node.blocked,
+		})),
+		edges,
+		truncated: byId.size >= MAX_GRAPH_NODES,
+	};
+};
+
+module.exports = {
+	BLOCKED_STATUSES,
+	MAX_GRAPH_NODES,
+	createsCycle,
+	assertValidBlockers,
+	assertNotBlocked,
+	assertValidNewTask,
+	annotateBlocked,
+	buildDependencyGraph,
+};
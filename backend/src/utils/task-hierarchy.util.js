@@ -0,0 +1,149 @@
+/**
+ * TASK HIERARCHY UTILITIES - Parent/child rules for subtasks
+ *
+ * Rules:
+ * - A parent must exist, be editable by the caller and not be the task
+ *   itself or one of its descendants
+ * - A parent cannot be completed while subtasks are open unless forced
+ * - Trees are limited to MAX_TREE_DEPTH levels below the root
+ */
+
+const mongoose = require("mongoose");
+const Task = require("../models/task.model");
+const { AppError } = require("../middleware/error.middleware");
+const { canEditTask } = require("./task-access.util");
+
+const MAX_TREE_DEPTH = 10;
+
+/**
+ * Throw a 400/403/404 AppError unless `parentId` may become the parent
+ * of `task` (pass an unsaved task when creating a subtask)
+ */
+const assertValidParent = async (user, task, parentId) => {
+	if (parentId === null || parentId === undefined || parentId === "") return;
+
+	if (!mongoose.isValidObjectId(parentId)) {
+		throw new AppError("Invalid parent task ID", 400);
+	}
+
+	const parent = await Task.findById(parentId);
+	if (!parent) {
+		throw new AppError("Parent task not found", 404);
+	}
+
+	if (!(await canEditTask(user, parent))) {
+		throw new AppError(
+			"You do not have permission to add subtasks to this task",
+			403
+		);
+	}
+
+	if (String(parent.project) !== String(task.project)) {
+		throw new AppError(
+			"A subtask must belong to the same project as its parent",
+			400
+		);
+	}
+
+	// Walk up from the new parent; meeting the task itself means a cycle
+	let ancestor = parent;
+	for (let depth = 0; ancestor; depth++) {
+		if (ancestor._id.equals(task._id)) {
+			throw new AppError("A task cannot be a subtask of itself", 400);
+		}
+		if (depth >= MAX_TREE_DEPTH) {
+			throw new AppError(
+				`Subtasks cannot be nested more than ${MAX_TREE_DEPTH} levels deep`,
+				400
+			);
+		}
+		ancestor = ancestor.parent
+			? await Task.findById(ancestor.parent).select("parent")
+			: null;
+	}
+};
+
+/**
+ * Throw a 409 AppError (code OPEN_SUBTASKS) when completing a task that
+ * still has open subtasks, unless `force` is set
+ */
+const assertCanComplete = async (task, force = false) => {
+	if (force) return;
+
+	const open = await Task.findOpenSubtasks(task._id);
+	if (open.length) {
+		throw new AppError(
+			`Task has ${open.length} open subtask(s); complete them first or pass force=true`,
+			409,
+			"OPEN_SUBTASKS"
+		);
+	}
+};
+
+/**
+ * Next free position at the end of a parent's subtask list
+ */
+const nextSubtaskPosition = async (parentId) => {
+	const last = await Task.findOne({ parent: parentId })
+		.sort({ position: -1 })
+		.select("position");
+	return last ? last.position + 1 : 0;
+};
+
+/**
+ * Set subtask positions from a full, ordered list of subtask IDs
+ */
+const reorderSubtasks = async (parentId, orderedIds) => {
+	const subtasks = await Task.find({ parent: parentId }).select("_id");
+	const current = subtasks.map((t) => t._id.toString()).sort();
+	const requested = [...new Set(orderedIds.map(String))].sort();
+
+	if (
+		requested.length !== orderedIds.length ||
+		current.join() !== requested.join()
+	) {
+		throw new AppError("order must list every subtask exactly once", 400);
+	}
+
+	await Task.bulkWrite(
+		orderedIds.map((id, position) => ({
+			updateOne: { filter: { _id: id }, update: { position } },
+		}))
+	);
+};
+
+/**
+ * Load the subtask tree below `root` as nested plain objects
+ * (`subtasks` arrays), including only tasks matching `visibility`
+ */
+const buildTaskTree = async (root, visibility = {}) => {
+	const toNode = (task) => ({ ...task.toJSON(), subtasks: [] });
+	const nodes = new Map([[root._id.toString(), toNode(root)]]);
+	let level = [root._id];
+
+	for (let depth = 0; depth < MAX_TREE_DEPTH && level.length; depth++) {
+		const children = await Task.find({
+			$and: [visibility, { parent: { $in: level } }],
+		})
+			.sort({ position: 1, createdAt: 1 })
+			.populate("assignedTo", "firstName lastName email");
+
+		level = children.map((child) => {
+			const node = toNode(child);
+			nodes.get(child.parent.toString()).subtasks.push(node);
+			nodes.set(child._id.toString(), node);
+			return child._id;
+		});
+	}
+
+	return nodes.get(root._id.toString());
+};
+
+module.exports = {
+	MAX_TREE_DEPTH,
+	assertValidParent,
+	assertCanComplete,
+	nextSubtaskPosition,
+	reorderSubtasks,
+	buildTaskTree,
+};
@@ -0,0 +1,172 @@
+/**
+ * TASK QUERY UTILITIES - Translate list query parameters into filters
+ *
+ * Features:
+ * - Status, custom status, priority, category and tag filters
+ * - Assignee and creator filters ("me" resolves to the caller)
+ * - Due-date ranges and overdue-only
+ * - Tasks of a project, or outside projects only ("none")
+ * - Subtasks of a parent, or top-level tasks only ("none")
+ * - Free-text search over the task text index
+ * - Sorting, with status and priority in workflow and severity order
+ */
+
+const { query } = require("express-validator");
+const Task = require("../models/task.model");
+const { MAX_LIMIT, parseSort } = require("./pagination.util");
+
+const TASK_SORT_FIELDS = [
+	"createdAt",
+	"updatedAt",
+	"dueDate",
+	"completedAt",
+	"priority",
+	"status",
+	"title",
+	"progress",
+];
+
+// Stored keys sorted on in place of fields that don't sort alphabetically
+const TASK_SORT_KEYS = {
+	status: "statusRank",
+	priority: "priorityRank",
+};
+
+/**
+ * Accept "a,b" or repeated query parameters
+ */
+const toList = (value) =>
+	(Array.isArray(value) ? value : String(value).split(","))
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+/**
+ * Validator for a user ID (or "me") query parameter
+ */
+const userRef = (field) =>
+	query(field)
+		.optional()
+		.custom((value) => value === "me" || /^[a-f\d]{24}$/i.test(value))
+		.withMessage(`${field} must be a user ID or "me"`);
+
+// Query parameter validation shared by task list endpoints
+const taskListValidation = [
+	userRef("assignedTo"),
+	userRef("createdBy"),
+	query("project")
+		.optional()
+		.custom((value) => value === "none" || /^[a-f\d]{24}$/i.test(value))
+		.withMessage('project must be a project ID or "none"'),
+	query("parent")
+		.optional()
+		.custom((value) => value === "none" || /^[a-f\d]{24}$/i.test(value))
+		.withMessage('parent must be a task ID or "none"'),
+	query("dueFrom").optional().isISO8601().withMessage("Invalid dueFrom date"),
+	query("dueTo").optional().isISO8601().withMessage("Invalid dueTo date"),
+	query("overdue")
+		.optional()
+		.isIn(["true", "false"])
+		.withMessage("overdue must be true or false"),
+	query("tagMatch")
+		.optional()
+		.isIn(["any", "all"])
+		.withMessage("tagMatch must be any or all"),
+	query("page").optional().isInt({ min: 1 }).withMessage("Invalid page"),
+	query("limit")
+		.optional()
+		.isInt({ min: 1, max: MAX_LIMIT })
+		.withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+];
+
+const resolveUser = (value, user) => (value === "me" ? user._id : value);
+
+/**
+ * Build a MongoDB filter for tasks from request query parameters.
+ * `scope` (e.g. a visibility filter) is ANDed with the parameters.
+ */
+const buildTaskFilter = (query, user, scope = {}) => {
+	const conditions = Object.keys(scope).length ? [scope] : [];
+
+	if (query.status) {
+		conditions.push({ status: { $in: toList(query.status) } });
+	}
+
+	if (query.customStatus) {
+		conditions.push({ customStatus: { $in: toList(query.customStatus) } });
+	}
+
+	if (query.priority) {
+		conditions.push({ priority: { $in: toList(query.priority) } });
+	}
+
+	if (query.category) {
+		conditions.push({ category: { $in: toList(query.category) } });
+	}
+
+	if (query.tags) {
+		const tags = toList(query.tags);
+		conditions.push({
+			tags: query.tagMatch === "all" ? { $all: tags } : { $in: tags },
+		});
+	}
+
+	if (query.assignedTo) {
+		conditions.push({ assignedTo: resolveUser(query.assignedTo, user) });
+	}
+
+	if (query.createdBy) {
+		conditions.push({ createdBy: resolveUser(query.createdBy, user) });
+	}
+
+	if (query.project) {
+		conditions.push({
+			project: query.project === "none" ? null : query.project,
+		});
+	}
+
+	if (query.parent) {
+		conditions.push({ parent: query.parent === "none" ? null : query.parent });
+	}
+
+	if (query.dueFrom || query.dueTo) {
+		const dueDate = {};
+		if (query.dueFrom) dueDate.$gte = new Date(query.dueFrom);
+		if (query.dueTo) dueDate.$lte = new Date(query.dueTo);
+		conditions.push({ dueDate });
+	}
+
+	if (query.overdue === "true") {
+		conditions.push(Task.overdueCriteria());
+	}
+
+	const filter = conditions.length ? { $and: conditions } : {};
+
+	if (query.search) {
+		filter.$text = { $search: String(query.search) };
+	}
+
+	return filter;
+};
+
+/**
+ * Parse a task list sort parameter (see parseSort); status and priority
+ * sort by their ranks
+ */
+const parseTaskSort = (sortParam) => {
+	const sort = {};
+	Object.entries(parseSort(sortParam, TASK_SORT_FIELDS)).forEach(
+		([field, direction]) => {
+			sort[TASK_SORT_KEYS[field] || field] = direction;
+		}
+	);
+	return sort;
+};
+
+module.exports = {
+	TASK_SORT_FIELDS,
+	toList,
+	userRef,
+	taskListValidation,
+	buildTaskFilter,
+	parseTaskSort,
+};
@@ -0,0 +1,22 @@
+/**
+ * TOKEN UTILITIES - Random opaque tokens and their stored hashes
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Generate a URL-safe random token
+ */
+const generateRandomToken = (bytes = 32) =>
+	crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * SHA-256 hash used to store tokens without keeping the raw value
+ */
+const hashToken = (token) =>
+	crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = {
+	generateRandomToken,
+	hashToken,
+};
@@ -0,0 +1,138 @@
+/**
+ * TOTP UTILITIES - Time-based one-time passwords (RFC 6238)
+ *
+ * Features:
+ * - Base32 secrets compatible with authenticator apps
+ * - Code verification with a clock-drift window
+ * - otpauth:// URIs for QR enrollment
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+	let bits = 0;
+	let value = 0;
+	let output = "";
+
+	for (const byte of buffer) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	}
+
+	return output;
+};
+
+const base32Decode = (input) => {
+	const clean = String(input)
+		.replace(/=+$/, "")
+		.replace(/\s/g, "")
+		.toUpperCase();
+	let bits = 0;
+	let value = 0;
+	const bytes = [];
+
+	for (const char of clean) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) {
+			throw new Error("Invalid base32 character");
+		}
+		value = (value << 5) | index;
+		bits += 5;
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+
+	return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32 secret (160 bits by default)
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ */
+const hotp = (secret, counter) => {
+	const buffer = Buffer.alloc(8);
+	buffer.writeBigUInt64BE(BigInt(counter));
+
+	const digest = crypto
+		.createHmac("sha1", base32Decode(secret))
+		.update(buffer)
+		.digest();
+
+	const offset = digest[digest.length - 1] & 0xf;
+	const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = (time = Date.now()) =>
+	Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * TOTP code for a point in time
+ */
+const generateTotp = (secret, time = Date.now()) =>
+	hotp(secret, currentStep(time));
+
+/**
+ * Verify a code within ±`window` steps. Returns the matched time step, or
+ * null. Steps at or before `afterStep` are rejected to prevent replay.
+ */
+const verifyTotp = (secret, code, { window = 1, afterStep = null } = {}) => {
+	const token = String(code || "").replace(/\s/g, "");
+	if (!/^\d{6}$/.test(token)) return null;
+
+	const now = currentStep();
+	for (let step = now - window; step <= now + window; step++) {
+		if (afterStep !== null && step <= afterStep) continue;
+
+		const expected = hotp(secret, step);
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+			return step;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * otpauth:// URI understood by authenticator apps
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+	const label = encodeURIComponent(`${issuer}:${accountName}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: "SHA1",
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	});
+	return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+	base32Encode,
+	base32Decode,
+	generateSecret,
+	hotp,
+	generateTotp,
+	verifyTotp,
+	buildOtpauthUri,
+};